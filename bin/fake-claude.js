@@ -0,0 +1,390 @@
+#!/usr/bin/env node
+
+// Scriptable stand-in for the Claude CLI. Speaks the same stream-json protocol on stdin/stdout
+// and replays fixture transcripts, so the bridge can be exercised without a subscription or network.
+
+const fs = require('fs')
+const path = require('path')
+const readline = require('readline')
+const crypto = require('crypto')
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures')
+
+function parseArgs(args) {
+  const result = {
+    sessionId: null,
+    model: 'sonnet',
+    jsonSchema: null,
+    permissionPromptTool: null,
+    replayUserMessages: false,
+    mcpConfig: null,
+    fixture: process.env.FAKE_CLAUDE_FIXTURE || null
+  }
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i]
+    if ((arg === '--session-id' || arg === '--resume') && args[i + 1]) {
+      result.sessionId = args[++i]
+    } else if (arg === '--model' && args[i + 1]) {
+      result.model = args[++i]
+    } else if (arg === '--json-schema' && args[i + 1]) {
+      result.jsonSchema = args[++i]
+    } else if (arg === '--permission-prompt-tool' && args[i + 1]) {
+      result.permissionPromptTool = args[++i]
+    } else if (arg === '--mcp-config' && args[i + 1]) {
+      result.mcpConfig = args[++i]
+    } else if (arg === '--replay-user-messages') {
+      result.replayUserMessages = true
+    } else if (arg === '--fixture' && args[i + 1]) {
+      result.fixture = args[++i]
+    } else if (arg === '--help' || arg === '-h') {
+      console.log(`
+Usage: fake-claude [--fixture <name|path>] [Claude CLI flags...]
+
+Replays a fixture transcript using the Claude CLI stream-json protocol.
+Unknown Claude CLI flags are accepted and ignored.
+
+Options:
+  --fixture <name|path>     Fixture to replay: a file path, or a name from fixtures/ (e.g. "dom-changes").
+                            Defaults to FAKE_CLAUDE_FIXTURE, or echoes each message back if unset.
+  --help, -h                Show this help message.
+
+Fixture format:
+  { "turns": [ { "steps": [ ... ] } ], "ignoreInterrupts": false }
+
+  With ignoreInterrupts, interrupts are acknowledged but the turn keeps going, like a hung CLI.
+
+  One turn is replayed per user message. Steps:
+    { "text": "..." }                            Assistant text block ({{message}} is the user's text)
+    { "structured": { ... } }                    Assistant text block containing a JSON-schema response
+    { "tool_use": { "name": "...", "input": {} } } Assistant tool_use block
+    { "permission": { "tool": "...", "input": {} }, "allow": [...], "deny": [...] }
+                                                 Ask for permission and continue with the matching steps
+    { "delay": 250 }                             Wait before the next step (ms)
+    { "result": { ... } }                        Result event (fields override the defaults)
+    { "error": "..." }                           Error event
+    { "crash": { "code": 1, "stderr": "..." } }  Exit immediately
+    { "raw": "..." }                             Write a raw line to stdout
+`)
+      process.exit(0)
+    }
+  }
+
+  return result
+}
+
+function loadFixture(fixture) {
+  if (!fixture) {
+    return { turns: [] }
+  }
+
+  const candidates = [fixture, path.join(FIXTURES_DIR, fixture), path.join(FIXTURES_DIR, `${fixture}.json`)]
+  const fixturePath = candidates.find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile())
+  if (!fixturePath) {
+    console.error(`fake-claude: fixture not found: ${fixture}`)
+    process.exit(1)
+  }
+
+  return JSON.parse(fs.readFileSync(fixturePath, 'utf8'))
+}
+
+const opts = parseArgs(process.argv.slice(2))
+const fixture = loadFixture(opts.fixture)
+const sessionId = opts.sessionId || crypto.randomUUID()
+
+// MCP servers are reported in system/init but not started
+function mcpServerNames(mcpConfig) {
+  if (!mcpConfig) return []
+  try {
+    const config = JSON.parse(mcpConfig.trim().startsWith('{') ? mcpConfig : fs.readFileSync(mcpConfig, 'utf8'))
+    return Object.keys(config.mcpServers || {})
+  } catch (error) {
+    process.stderr.write(`fake-claude: ignoring invalid --mcp-config: ${error.message}\n`)
+    return []
+  }
+}
+
+const ECHO_TURN = {
+  steps: [{ structured: { domChanges: [], response: 'Echo: {{message}}', action: 'none' } }]
+}
+
+let turnIndex = 0
+let totalTurns = 0
+let totalCostUsd = 0
+let initialized = false
+const pendingControl = new Map()
+const inbox = []
+let processing = false
+let currentTurn = null
+
+function emit(event) {
+  process.stdout.write(JSON.stringify(event) + '\n')
+}
+
+function estimateTokens(text) {
+  return Math.max(1, Math.ceil(String(text || '').length / 4))
+}
+
+function interpolate(value, context) {
+  if (typeof value === 'string') {
+    return value.replace(/\{\{message\}\}/g, context.message)
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => interpolate(item, context))
+  }
+  if (value && typeof value === 'object') {
+    const result = {}
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = interpolate(item, context)
+    }
+    return result
+  }
+  return value
+}
+
+function messageText(message) {
+  const content = message && message.content
+  if (typeof content === 'string') return content
+  if (Array.isArray(content)) {
+    return content.filter(block => block.type === 'text').map(block => block.text).join('\n')
+  }
+  return ''
+}
+
+function emitAssistant(content, turn) {
+  turn.outputTokens += content.reduce((sum, block) => sum + estimateTokens(block.text || JSON.stringify(block.input || {})), 0)
+  emit({
+    type: 'assistant',
+    message: {
+      id: `msg_fake_${crypto.randomBytes(6).toString('hex')}`,
+      type: 'message',
+      role: 'assistant',
+      model: opts.model,
+      content,
+      stop_reason: null,
+      usage: { input_tokens: turn.inputTokens, output_tokens: turn.outputTokens }
+    },
+    parent_tool_use_id: null,
+    session_id: sessionId
+  })
+}
+
+function askPermission(tool, input) {
+  const requestId = crypto.randomUUID()
+  const toolUseId = `toolu_fake_${crypto.randomBytes(6).toString('hex')}`
+
+  return new Promise(resolve => {
+    pendingControl.set(requestId, resolve)
+    emit({
+      type: 'control_request',
+      request_id: requestId,
+      request: { subtype: 'can_use_tool', tool_name: tool, input: input || {}, tool_use_id: toolUseId }
+    })
+  })
+}
+
+function sleep(ms, turn) {
+  // Wakes up early when the turn is interrupted
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, ms)
+    turn.wake = () => {
+      clearTimeout(timer)
+      resolve()
+    }
+  })
+}
+
+async function runSteps(steps, turn) {
+  for (const rawStep of steps || []) {
+    if (turn.interrupted || turn.finished) return
+    const step = interpolate(rawStep, turn.context)
+
+    if (step.delay) {
+      await sleep(step.delay, turn)
+    } else if (step.text !== undefined) {
+      turn.lastText = step.text
+      emitAssistant([{ type: 'text', text: step.text }], turn)
+    } else if (step.structured !== undefined) {
+      turn.lastText = JSON.stringify(step.structured)
+      emitAssistant([{ type: 'text', text: turn.lastText }], turn)
+    } else if (step.tool_use) {
+      emitAssistant([{
+        type: 'tool_use',
+        id: `toolu_fake_${crypto.randomBytes(6).toString('hex')}`,
+        name: step.tool_use.name,
+        input: step.tool_use.input || {}
+      }], turn)
+    } else if (step.permission) {
+      if (opts.permissionPromptTool !== 'stdio') {
+        // Without a permission prompt tool the real CLI denies non-allowed tools on its own
+        await runSteps(step.deny, turn)
+        continue
+      }
+      const decision = await askPermission(step.permission.tool, step.permission.input)
+      await runSteps(decision.behavior === 'allow' ? step.allow : step.deny, turn)
+    } else if (step.result !== undefined) {
+      emitResult(turn, step.result)
+    } else if (step.error !== undefined) {
+      emit({ type: 'error', error: step.error })
+      turn.finished = true
+    } else if (step.crash) {
+      if (step.crash.stderr) {
+        process.stderr.write(step.crash.stderr + '\n')
+      }
+      process.exit(step.crash.code === undefined ? 1 : step.crash.code)
+    } else if (step.raw !== undefined) {
+      process.stdout.write((typeof step.raw === 'string' ? step.raw : JSON.stringify(step.raw)) + '\n')
+    }
+
+    if (turn.finished) return
+  }
+}
+
+function emitResult(turn, overrides = {}) {
+  totalTurns++
+  const durationMs = Date.now() - turn.startedAt
+  const usage = {
+    input_tokens: turn.inputTokens,
+    cache_creation_input_tokens: 0,
+    cache_read_input_tokens: 0,
+    output_tokens: turn.outputTokens
+  }
+  // Like the real CLI, cost is the running total for this process
+  totalCostUsd = Number((totalCostUsd + (usage.input_tokens * 3 + usage.output_tokens * 15) / 1e6).toFixed(6))
+
+  emit({
+    type: 'result',
+    subtype: 'success',
+    is_error: false,
+    duration_ms: durationMs,
+    duration_api_ms: durationMs,
+    num_turns: totalTurns,
+    result: turn.lastText || '',
+    session_id: sessionId,
+    total_cost_usd: totalCostUsd,
+    usage,
+    ...overrides
+  })
+  turn.finished = true
+}
+
+async function runTurn(message) {
+  const text = messageText(message)
+
+  if (!initialized) {
+    initialized = true
+    emit({
+      type: 'system',
+      subtype: 'init',
+      cwd: process.cwd(),
+      session_id: sessionId,
+      tools: ['Bash', 'Read', 'Grep'],
+      mcp_servers: mcpServerNames(opts.mcpConfig).map(name => ({ name, status: 'connected' })),
+      model: opts.model,
+      permissionMode: 'default',
+      apiKeySource: 'none'
+    })
+  }
+
+  const turns = fixture.turns || []
+  const script = turnIndex < turns.length ? turns[turnIndex] : ECHO_TURN
+  turnIndex++
+
+  const turn = {
+    context: { message: text },
+    startedAt: Date.now(),
+    inputTokens: estimateTokens(text),
+    outputTokens: 0,
+    lastText: '',
+    finished: false,
+    interrupted: false,
+    wake: null
+  }
+
+  currentTurn = turn
+  await runSteps(script.steps, turn)
+  currentTurn = null
+  if (turn.interrupted && !turn.finished) {
+    emitResult(turn, { subtype: 'error_during_execution', is_error: true })
+  } else if (!turn.finished) {
+    emitResult(turn)
+  }
+}
+
+async function drainInbox() {
+  if (processing) return
+  processing = true
+  while (inbox.length > 0) {
+    await runTurn(inbox.shift())
+  }
+  processing = false
+}
+
+function handleControlRequest(event) {
+  const request = event.request || {}
+
+  if (request.subtype === 'initialize') {
+    emit({
+      type: 'control_response',
+      response: { subtype: 'success', request_id: event.request_id, response: { commands: [], models: [] } }
+    })
+  } else if (request.subtype === 'interrupt') {
+    if (currentTurn && !fixture.ignoreInterrupts) {
+      currentTurn.interrupted = true
+      if (currentTurn.wake) currentTurn.wake()
+      // Permission prompts of the interrupted turn are abandoned
+      for (const [requestId, resolve] of pendingControl.entries()) {
+        pendingControl.delete(requestId)
+        resolve({ behavior: 'deny', message: 'Interrupted' })
+      }
+    }
+    emit({
+      type: 'control_response',
+      response: { subtype: 'success', request_id: event.request_id, response: {} }
+    })
+  } else {
+    emit({
+      type: 'control_response',
+      response: { subtype: 'error', request_id: event.request_id, error: `Unsupported control request: ${request.subtype}` }
+    })
+  }
+}
+
+function handleLine(line) {
+  if (!line.trim()) return
+
+  let event
+  try {
+    event = JSON.parse(line)
+  } catch (error) {
+    process.stderr.write(`fake-claude: ignoring invalid input line: ${line.slice(0, 100)}\n`)
+    return
+  }
+
+  if (event.type === 'user') {
+    if (opts.replayUserMessages) {
+      emit({ ...event, session_id: sessionId })
+    }
+    inbox.push(event.message)
+    drainInbox()
+  } else if (event.type === 'control_request') {
+    handleControlRequest(event)
+  } else if (event.type === 'control_response') {
+    const response = event.response || {}
+    const resolve = pendingControl.get(response.request_id)
+    if (resolve) {
+      pendingControl.delete(response.request_id)
+      resolve(response.response || {})
+    }
+  }
+}
+
+const rl = readline.createInterface({ input: process.stdin })
+rl.on('line', handleLine)
+rl.on('close', async () => {
+  // Finish queued turns before exiting, like the real CLI does when stdin ends
+  while (processing || inbox.length > 0) {
+    await new Promise(resolve => setTimeout(resolve, 10))
+  }
+  process.exit(0)
+})
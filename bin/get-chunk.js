@@ -1,13 +1,135 @@
 #!/usr/bin/env node
 
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
 const http = require('http')
 const https = require('https')
 
+// Defaults of the bridge's ports, dataDir and config file settings (CONFIG_OPTIONS in index.js)
+const DEFAULT_PORTS = [3000, 3001, 3002, 3003, 3004]
+const DEFAULT_DATA_DIR = path.join(os.homedir(), '.claude-code-bridge')
+const CONFIG_FILE_NAME = 'claude-code-bridge.config.json'
+const SERVICE_NAME = 'claude-code-bridge'
+const DISCOVERY_TIMEOUT_MS = 1000
+
+const COMMANDS = ['chunk', 'chunks', 'xpath', 'refresh', 'conversations', 'styles', 'search', 'outline', 'pages', 'snapshots', 'diff', 'suggest']
+const ALIASES = { list: 'conversations' }
+
+const HELP = `
+Usage: get-chunk [command] [options]
+
+Without a command, get-chunk retrieves HTML chunks:
+  get-chunk --conversation-id <id> --selector <selector> [--selector <selector2>...] [options]
+
+Commands:
+  chunk                     Print the outerHTML of the element(s) matching the selector(s) (default).
+  chunks                    Print the outerHTML for several selectors in one request (POST /chunks).
+  xpath                     Run an XPath query and print each match with a selector.
+  refresh                   Store a new snapshot of the page from --file (or - for stdin).
+  conversations, list       List the conversations the bridge knows.
+  styles                    Print the inline style and the CSS rules that apply to the element,
+                            most specific first, including :hover/:focus rules and media queries.
+  search                    Find elements by visible text (case-insensitive, whitespace-normalized)
+                            and print ranked matches with a selector and their HTML.
+  outline                   Print a compact skeleton of the page.
+  pages                     List the stored page contexts.
+  snapshots                 List the stored snapshots.
+  diff                      Print the elements that changed between two snapshots.
+  suggest                   Print ranked unique selectors for the element(s) matching --selector or --xpath.
+
+Options:
+  --conversation-id <id>    The conversation to read from (or BRIDGE_CONVERSATION_ID).
+                            Required by every command but conversations.
+  --selector <selector>     CSS selector. Can be specified multiple times for multiple selectors.
+  --selectors <list>        Comma-separated list of CSS selectors (alternative to multiple --selector).
+  --xpath <expression>      XPath expression (xpath, suggest).
+  --query <text>            Text to search for (search).
+  --regex                   Treat --query as a regular expression (search).
+  --tag <tag>               Only return matches with this tag name, e.g. button (search).
+  --role <role>             Only return matches with this ARIA role, e.g. link (search).
+  --max-results <n>         Maximum number of matches (xpath, search; default: 10).
+  --depth <n>               How deep landmarks and forms nest (outline; default: 4).
+  --page <page>             Page context to read, or to store the snapshot under (refresh).
+  --snapshot <n>            Snapshot number to read (chunk, chunks, xpath).
+  --from <n>, --to <n>      Snapshots to compare (diff; default: the latest one and the one before).
+  --file <path>             HTML file to store, or - for stdin (refresh).
+  --url <url>               URL of the page (refresh).
+  --viewport <name>         Viewport of the page, e.g. mobile (refresh).
+  --label <label>           Label for the snapshot (refresh).
+  --json                    Print the bridge's JSON response instead of formatted text.
+  --max-chars <n>           Truncate HTML and other long output to n characters.
+  --bridge-url <url>        Bridge server URL (or BRIDGE_URL). By default the running bridge is found on
+                            the host and ports of its config, like the bridge itself: --config,
+                            BRIDGE_CONFIG or ${CONFIG_FILE_NAME} in the working or home directory,
+                            then BRIDGE_HOST, PORT and BRIDGE_PORTS (default ports ${DEFAULT_PORTS.join(', ')}).
+  --token <token>           Pairing token (or BRIDGE_TOKEN). Defaults to the one the bridge stored in
+                            its data directory (dataDir or BRIDGE_DATA_DIR, default ${DEFAULT_DATA_DIR}).
+  --config <file>           The bridge's config file, if it was started with --config.
+  --help, -h                Show this help message.
+
+Examples:
+  # Single selector
+  get-chunk --conversation-id conv-123 --selector "#main-content"
+
+  # Multiple selectors (using --selector multiple times)
+  get-chunk --conversation-id conv-123 --selector ".hero-section" --selector "header" --selector "#main"
+
+  # Multiple selectors (using comma-separated --selectors)
+  get-chunk --conversation-id conv-123 --selectors ".hero-section,header,#main"
+
+  # CSS rules for an element
+  get-chunk styles --conversation-id conv-123 --selector ".cta"
+
+  # Find the element that says "Start free trial"
+  get-chunk search --conversation-id conv-123 --query "start free trial" --role button
+
+  # XPath, limited output
+  get-chunk xpath --conversation-id conv-123 --xpath "//button[contains(., 'Buy')]" --max-chars 500
+
+  # Store the current page state
+  get-chunk refresh --conversation-id conv-123 --file page.html --url https://shop.test/cart --viewport mobile
+
+  # Which conversations are there?
+  get-chunk list
+`
+
 function parseArgs(args) {
   const result = {
-    conversationId: null,
+    command: 'chunk',
+    conversationId: process.env.BRIDGE_CONVERSATION_ID || null,
     selectors: [],
-    bridgeUrl: 'http://localhost:3000'
+    xpath: null,
+    query: null,
+    regex: false,
+    tag: null,
+    role: null,
+    maxResults: null,
+    depth: null,
+    page: null,
+    snapshot: null,
+    from: null,
+    to: null,
+    file: null,
+    url: null,
+    viewport: null,
+    label: null,
+    json: false,
+    maxChars: null,
+    bridgeUrl: process.env.BRIDGE_URL || null,
+    token: process.env.BRIDGE_TOKEN || null,
+    config: process.env.BRIDGE_CONFIG || null
+  }
+
+  // Optional subcommand; without one, get-chunk retrieves HTML chunks
+  if (args[0] && !args[0].startsWith('-')) {
+    const command = ALIASES[args[0]] || args[0]
+    if (!COMMANDS.includes(command)) {
+      console.error(`Error: Unknown command: ${args[0]} (available: ${[...COMMANDS, ...Object.keys(ALIASES)].join(', ')})`)
+      process.exit(1)
+    }
+    result.command = command
+    args = args.slice(1)
   }
 
   for (let i = 0; i < args.length; i++) {
@@ -19,42 +141,114 @@ function parseArgs(args) {
     } else if (arg === '--selectors' && args[i + 1]) {
       // Support comma-separated list
       result.selectors.push(...args[++i].split(',').map(s => s.trim()).filter(s => s))
+    } else if (arg === '--xpath' && args[i + 1]) {
+      result.xpath = args[++i]
+    } else if (arg === '--query' && args[i + 1]) {
+      result.query = args[++i]
+    } else if (arg === '--regex') {
+      result.regex = true
+    } else if (arg === '--tag' && args[i + 1]) {
+      result.tag = args[++i]
+    } else if (arg === '--role' && args[i + 1]) {
+      result.role = args[++i]
+    } else if (arg === '--max-results' && args[i + 1]) {
+      result.maxResults = parseInt(args[++i], 10)
+    } else if (arg === '--depth' && args[i + 1]) {
+      result.depth = parseInt(args[++i], 10)
+    } else if (arg === '--page' && args[i + 1]) {
+      result.page = args[++i]
+    } else if (arg === '--snapshot' && args[i + 1]) {
+      result.snapshot = parseInt(args[++i], 10)
+    } else if (arg === '--from' && args[i + 1]) {
+      result.from = parseInt(args[++i], 10)
+    } else if (arg === '--to' && args[i + 1]) {
+      result.to = parseInt(args[++i], 10)
+    } else if (arg === '--file' && args[i + 1]) {
+      result.file = args[++i]
+    } else if (arg === '--url' && args[i + 1]) {
+      result.url = args[++i]
+    } else if (arg === '--viewport' && args[i + 1]) {
+      result.viewport = args[++i]
+    } else if (arg === '--label' && args[i + 1]) {
+      result.label = args[++i]
+    } else if (arg === '--json') {
+      result.json = true
+    } else if (arg === '--max-chars' && args[i + 1]) {
+      result.maxChars = parseInt(args[++i], 10)
     } else if (arg === '--bridge-url' && args[i + 1]) {
       result.bridgeUrl = args[++i]
+    } else if (arg === '--token' && args[i + 1]) {
+      result.token = args[++i]
+    } else if (arg === '--config' && args[i + 1]) {
+      result.config = args[++i]
     } else if (arg === '--help' || arg === '-h') {
-      console.log(`
-Usage: get-chunk --conversation-id <id> --selector <selector> [--selector <selector2>...] [options]
-
-Options:
-  --conversation-id <id>    Required. The conversation ID to retrieve HTML from.
-  --selector <selector>     Required. CSS selector for the element to retrieve.
-                            Can be specified multiple times for multiple selectors.
-  --selectors <list>        Comma-separated list of CSS selectors (alternative to multiple --selector).
-  --bridge-url <url>        Bridge server URL (default: http://localhost:3000)
-  --help, -h                Show this help message.
+      console.log(HELP)
+      process.exit(0)
+    } else {
+      // A typo like --max-char would otherwise run with the defaults
+      console.error(arg.startsWith('-') ? `Error: Unknown option: ${arg} (or it is missing its value)` : `Error: Unexpected argument: ${arg}`)
+      console.error('Run get-chunk --help for the available options')
+      process.exit(1)
+    }
+  }
 
-Examples:
-  # Single selector
-  get-chunk --conversation-id conv-123 --selector "#main-content"
+  return result
+}
 
-  # Multiple selectors (using --selector multiple times)
-  get-chunk --conversation-id conv-123 --selector ".hero-section" --selector "header" --selector "#main"
+// Where the bridge listens and keeps its token, read from the same config file and env vars it uses
+function bridgeSettings(configPath) {
+  const candidates = configPath
+    ? [path.resolve(configPath)]
+    : [process.cwd(), os.homedir()].map(dir => path.join(dir, CONFIG_FILE_NAME))
+  const file = candidates.find(candidate => fs.existsSync(candidate)) || null
+  if (configPath && !file) {
+    throw new Error(`Config file not found: ${candidates[0]}`)
+  }
 
-  # Multiple selectors (using comma-separated --selectors)
-  get-chunk --conversation-id conv-123 --selectors ".hero-section,header,#main"
-`)
-      process.exit(0)
+  let values = {}
+  if (file) {
+    try {
+      values = JSON.parse(fs.readFileSync(file, 'utf8')) || {}
+    } catch (error) {
+      throw new Error(`Invalid config file ${file}: ${error.message}`)
     }
   }
 
-  return result
+  const env = process.env
+  const port = env.PORT || values.port
+  const ports = port
+    ? [Number(port)]
+    : env.BRIDGE_PORTS ? env.BRIDGE_PORTS.split(',').map(item => Number(item.trim())) : values.ports || DEFAULT_PORTS
+  const dataDir = env.BRIDGE_DATA_DIR || (values.dataDir ? path.resolve(path.dirname(file), values.dataDir) : DEFAULT_DATA_DIR)
+  return { host: env.BRIDGE_HOST || values.host || '127.0.0.1', ports, tokenFile: path.join(dataDir, 'token') }
+}
+
+// A bridge bound to every interface is reached on loopback; IPv6 literals need brackets in URLs
+function urlHost(host) {
+  if (!host || host === '0.0.0.0' || host === '::') return 'localhost'
+  return host.includes(':') ? `[${host}]` : host
+}
+
+function readToken(tokenFile) {
+  try {
+    return fs.readFileSync(tokenFile, 'utf8').trim()
+  } catch (error) {
+    return null
+  }
 }
 
-function fetch(url) {
+function fetch(url, body = null, { timeoutMs = null, token = null } = {}) {
   return new Promise((resolve, reject) => {
     const client = url.startsWith('https') ? https : http
+    const payload = body ? JSON.stringify(body) : null
+    const options = payload
+      ? { method: 'POST', headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } }
+      : { method: 'GET', headers: {} }
+    if (token) {
+      options.headers['X-Bridge-Token'] = token
+    }
 
-    client.get(url, (res) => {
+    const req = client.request(url, options, (res) => {
       let data = ''
       res.on('data', chunk => data += chunk)
       res.on('end', () => {
@@ -65,71 +259,377 @@ function fetch(url) {
           resolve({ status: res.statusCode, data: data })
         }
       })
-    }).on('error', reject)
+    })
+    if (timeoutMs) {
+      req.setTimeout(timeoutMs, () => req.destroy(new Error('Request timed out')))
+    }
+    req.on('error', reject)
+    req.end(payload)
   })
 }
 
-async function main() {
-  const args = process.argv.slice(2)
-  const opts = parseArgs(args)
+// The bridge falls back to the next preferred port when one is taken, so ask each for its /health
+async function discoverBridge(opts, settings) {
+  if (opts.bridgeUrl) {
+    return opts.bridgeUrl.replace(/\/$/, '')
+  }
 
-  if (!opts.conversationId) {
-    console.error('Error: --conversation-id is required')
-    process.exit(1)
+  for (const port of settings.ports) {
+    const url = `http://${urlHost(settings.host)}:${port}`
+    try {
+      const response = await fetch(`${url}/health`, null, { timeoutMs: DISCOVERY_TIMEOUT_MS })
+      const health = response.data || {}
+      // Bridges from before the service field still report their Claude process count
+      if (health.service === SERVICE_NAME || (health.ok === true && health.claudeProcesses !== undefined)) {
+        return url
+      }
+    } catch (error) {
+      // Nothing listening on this port
+    }
   }
+  return null
+}
 
-  if (opts.selectors.length === 0) {
-    console.error('Error: --selector is required')
-    process.exit(1)
+function truncate(text, maxChars) {
+  if (!maxChars || typeof text !== 'string' || text.length <= maxChars) return text
+  return `${text.slice(0, maxChars)}... (${text.length - maxChars} more chars)`
+}
+
+// --max-chars applies to every string in --json output, so the JSON stays valid
+function truncateStrings(value, maxChars) {
+  if (typeof value === 'string') return truncate(value, maxChars)
+  if (Array.isArray(value)) return value.map(item => truncateStrings(item, maxChars))
+  if (value && typeof value === 'object') {
+    const result = {}
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = truncateStrings(item, maxChars)
+    }
+    return result
   }
+  return value
+}
 
-  // Use comma-separated selectors in query param
-  const selectorsParam = opts.selectors.length === 1
-    ? `selector=${encodeURIComponent(opts.selectors[0])}`
-    : `selectors=${encodeURIComponent(opts.selectors.join(','))}`
+function query(params) {
+  const search = new URLSearchParams()
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null && !Number.isNaN(value)) search.set(key, String(value))
+  }
+  const string = search.toString()
+  return string ? `?${string}` : ''
+}
 
-  const url = `${opts.bridgeUrl}/conversations/${encodeURIComponent(opts.conversationId)}/chunk?${selectorsParam}`
+function formatDeclarations(declarations, important = []) {
+  return Object.entries(declarations)
+    .map(([property, value]) => `${property}: ${value}${important.includes(property) ? ' !important' : ''};`)
+    .join(' ')
+}
 
-  try {
-    const response = await fetch(url)
+function formatAge(timestamp) {
+  if (!timestamp) return 'never'
+  const seconds = Math.round((Date.now() - timestamp) / 1000)
+  if (seconds < 60) return `${seconds}s ago`
+  if (seconds < 3600) return `${Math.round(seconds / 60)}m ago`
+  return `${Math.round(seconds / 3600)}h ago`
+}
 
-    if (response.status === 404) {
-      console.error(`Error: ${response.data.error || 'Element not found'}`)
-      process.exit(1)
+function printChunks(results, opts) {
+  for (const result of results) {
+    console.log(`\n## ${result.selector}`)
+    if (result.found) {
+      console.log(truncate(result.html, opts.maxChars))
+    } else {
+      console.log(`Error: ${result.error || 'Element not found'}`)
     }
+  }
+}
 
-    if (response.status !== 200) {
-      console.error(`Error: ${response.data.error || 'Request failed'}`)
-      process.exit(1)
+// Each command: the request it makes and how its response is printed
+const HANDLERS = {
+  chunk: {
+    requires: ['selectors'],
+    request: opts => {
+      // Use comma-separated selectors in query param
+      const selectorsParam = opts.selectors.length === 1
+        ? { selector: opts.selectors[0] }
+        : { selectors: opts.selectors.join(',') }
+      return { path: `/chunk${query({ ...selectorsParam, page: opts.page, snapshot: opts.snapshot })}` }
+    },
+    print: (data, opts) => {
+      // Handle single selector response (backward compatible)
+      if (data.found !== undefined) {
+        if (!data.found) {
+          console.error(`Error: Element not found for selector: ${opts.selectors[0]}`)
+          process.exit(1)
+        }
+        console.log(truncate(data.html, opts.maxChars))
+        return
+      }
+      printChunks(data.results || [], opts)
+    }
+  },
+
+  chunks: {
+    requires: ['selectors'],
+    request: opts => ({ path: '/chunks', body: { selectors: opts.selectors, page: opts.page, snapshot: opts.snapshot } }),
+    print: (data, opts) => printChunks(data.results, opts)
+  },
+
+  xpath: {
+    requires: ['xpath'],
+    request: opts => ({
+      path: '/xpath',
+      body: { xpath: opts.xpath, maxResults: opts.maxResults || undefined, page: opts.page, snapshot: opts.snapshot }
+    }),
+    print: (data, opts) => {
+      if (!data.found) {
+        console.error(`Error: No matches for: ${opts.xpath}`)
+        process.exit(1)
+      }
+      for (const match of data.matches) {
+        console.log(`\n## ${match.selector || '(attribute)'} (${match.nodeType})`)
+        console.log(truncate(match.html, opts.maxChars))
+      }
+    }
+  },
+
+  refresh: {
+    requires: ['file'],
+    request: opts => {
+      const html = fs.readFileSync(opts.file === '-' ? 0 : opts.file, 'utf8')
+      return {
+        path: '/refresh',
+        body: { html, page: opts.page, url: opts.url, viewport: opts.viewport, label: opts.label }
+      }
+    },
+    print: data => console.log(`Stored snapshot ${data.snapshot} of page ${data.page}`)
+  },
+
+  conversations: {
+    global: true,
+    request: () => ({ path: '/conversations' }),
+    print: data => {
+      if (data.conversations.length === 0) {
+        console.log('No conversations')
+        return
+      }
+      for (const conversation of data.conversations) {
+        const state = conversation.running ? `${conversation.queue.state}, ${conversation.queue.depth} queued` : 'stopped'
+        console.log(`${conversation.conversationId}  ${conversation.model || '-'}  ${state}  ` +
+          `${conversation.messages} messages  ${conversation.pages} pages  revision ${conversation.revision}  ` +
+          `active ${formatAge(conversation.lastActivity)}`)
+      }
+    }
+  },
+
+  styles: {
+    requires: ['selectors'],
+    request: opts => ({ path: `/styles${query({ selector: opts.selectors[0], page: opts.page })}` }),
+    print: (data, opts) => {
+      const { inline, rules } = data
+      if (inline.cssText) {
+        console.log('/* inline style */')
+        console.log(`element.style { ${formatDeclarations(inline.declarations, inline.important)} }\n`)
+      }
+
+      for (const rule of rules) {
+        const conditions = [
+          `specificity ${rule.specificity.join(',')}`,
+          rule.source,
+          ...(rule.media || []).map(media => `@media ${media}`),
+          ...(rule.supports || []).map(supports => `@supports ${supports}`),
+          ...(rule.layer ? [`@layer ${rule.layer}`] : [])
+        ]
+        console.log(`/* ${conditions.join(' | ')} */`)
+        console.log(`${rule.selector} { ${formatDeclarations(rule.declarations, rule.important)} }\n`)
+      }
+
+      if (!inline.cssText && rules.length === 0) {
+        console.log(`No styles found for ${opts.selectors[0]}`)
+      }
     }
+  },
 
-    // Handle single selector response (backward compatible)
-    if (response.data.found !== undefined) {
-      if (response.data.found) {
-        console.log(response.data.html)
-      } else {
-        console.error(`Error: Element not found for selector: ${opts.selectors[0]}`)
+  search: {
+    requires: ['query'],
+    request: opts => ({
+      path: '/search',
+      body: {
+        query: opts.query,
+        regex: opts.regex,
+        tag: opts.tag || undefined,
+        role: opts.role || undefined,
+        maxResults: opts.maxResults || undefined,
+        page: opts.page
+      }
+    }),
+    print: (data, opts) => {
+      if (!data.found) {
+        console.error(`Error: No elements found for: ${opts.query}`)
         process.exit(1)
       }
-      return
+      data.matches.forEach((match, index) => {
+        console.log(`\n## ${index + 1}. ${match.selector} (${match.role || match.tagName}, matched ${match.matchedIn}, score ${match.score})`)
+        console.log(`"${match.text}"`)
+        console.log(truncate(match.html, opts.maxChars))
+      })
+    }
+  },
+
+  outline: {
+    request: opts => ({ path: `/outline${query({ depth: opts.depth, maxChars: opts.maxChars, page: opts.page })}` }),
+    print: data => {
+      console.log(data.outline)
+      if (data.truncated) {
+        console.log(`\n(${data.items.length} of ${data.totalItems} items, depth ${data.depth})`)
+      }
+    }
+  },
+
+  pages: {
+    request: () => ({ path: '/pages' }),
+    print: data => {
+      for (const page of data.pages) {
+        const marker = page.page === data.current ? '*' : ' '
+        console.log(`${marker} ${page.page}  snapshots ${page.snapshots.join(',')}  updated ${formatAge(page.updatedAt)}  ${page.size} chars`)
+      }
+    }
+  },
+
+  snapshots: {
+    request: opts => ({ path: `/snapshots${query({ page: opts.page })}` }),
+    print: data => {
+      for (const snapshot of data.snapshots) {
+        console.log(`#${snapshot.snapshot}  ${snapshot.page}${snapshot.label ? `  "${snapshot.label}"` : ''}  ` +
+          `${new Date(snapshot.timestamp).toISOString()}  ${snapshot.size} chars`)
+      }
     }
+  },
 
-    // Handle multiple selectors response
-    if (response.data.results) {
-      for (const result of response.data.results) {
-        console.log(`\n## ${result.selector}`)
-        if (result.found) {
-          console.log(result.html)
+  diff: {
+    request: opts => ({ path: `/snapshots/diff${query({ from: opts.from, to: opts.to, page: opts.page })}` }),
+    print: (data, opts) => {
+      const { summary } = data
+      console.log(`Snapshot ${data.from.snapshot} → ${data.to.snapshot}: ${summary.added} added, ${summary.removed} removed, ` +
+        `${summary.changed} changed, ${summary.moved} moved`)
+      for (const entry of data.diff) {
+        if (entry.op === 'added') {
+          console.log(`+ ${entry.path}\n  ${truncate(entry.html, opts.maxChars)}`)
+        } else if (entry.op === 'removed') {
+          console.log(`- ${entry.path}\n  ${truncate(entry.html, opts.maxChars)}`)
+        } else if (entry.op === 'moved') {
+          console.log(`> ${entry.from} → ${entry.to}`)
         } else {
-          console.log(`Error: ${result.error || 'Element not found'}`)
+          const details = [
+            ...Object.entries(entry.attributes || {}).map(([name, { before, after }]) => `${name}: ${JSON.stringify(before)} → ${JSON.stringify(after)}`),
+            ...(entry.text ? [`text: ${JSON.stringify(entry.text.before)} → ${JSON.stringify(entry.text.after)}`] : [])
+          ]
+          console.log(`~ ${entry.path}\n  ${truncate(details.join(', '), opts.maxChars)}`)
+        }
+      }
+      if (data.truncated) {
+        console.log('... (more changes not shown)')
+      }
+    }
+  },
+
+  suggest: {
+    request: opts => ({
+      path: '/selectors/suggest',
+      body: { selector: opts.selectors[0], xpath: opts.xpath || undefined, page: opts.page }
+    }),
+    print: (data, opts) => {
+      if (!data.found) {
+        console.error('Error: No elements matched')
+        process.exit(1)
+      }
+      for (const element of data.elements) {
+        console.log(`\n## ${truncate(element.html, opts.maxChars || 200)}`)
+        for (const candidate of element.candidates) {
+          console.log(`  ${candidate.score.toFixed(2)}  ${candidate.strategy.padEnd(14)}  ${candidate.selector || `xpath ${candidate.xpath}`}`)
         }
       }
     }
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2)
+  const opts = parseArgs(args)
+  const handler = HANDLERS[opts.command]
+
+  if (!handler.global && !opts.conversationId) {
+    console.error('Error: --conversation-id is required')
+    process.exit(1)
+  }
+
+  const missing = {
+    selectors: opts.selectors.length === 0 && '--selector is required',
+    xpath: !opts.xpath && '--xpath is required',
+    query: !opts.query && '--query is required',
+    file: !opts.file && '--file is required'
+  }
+  for (const requirement of handler.requires || []) {
+    if (missing[requirement]) {
+      console.error(`Error: ${missing[requirement]}`)
+      process.exit(1)
+    }
+  }
+  if (opts.command === 'suggest' && opts.selectors.length === 0 && !opts.xpath) {
+    console.error('Error: --selector or --xpath is required')
+    process.exit(1)
+  }
+
+  let request
+  try {
+    request = handler.request(opts)
+  } catch (error) {
+    console.error(`Error: ${error.message}`)
+    process.exit(1)
+  }
+
+  let settings
+  try {
+    settings = bridgeSettings(opts.config)
+  } catch (error) {
+    console.error(`Error: ${error.message}`)
+    process.exit(1)
+  }
+
+  const bridgeUrl = await discoverBridge(opts, settings)
+  if (!bridgeUrl) {
+    console.error(`Error: No bridge server found on ${urlHost(settings.host)} ports ${settings.ports.join(', ')}`)
+    console.error(`Make sure the bridge is running: npx @absmartly/claude-code-bridge`)
+    process.exit(1)
+  }
+
+  const base = handler.global ? bridgeUrl : `${bridgeUrl}/conversations/${encodeURIComponent(opts.conversationId)}`
+  let response
+  try {
+    response = await fetch(`${base}${request.path}`, request.body, { token: opts.token || readToken(settings.tokenFile) })
   } catch (error) {
-    console.error(`Error: Failed to connect to bridge server at ${opts.bridgeUrl}`)
+    console.error(`Error: Failed to connect to bridge server at ${bridgeUrl}`)
     console.error(`Make sure the bridge is running: npx @absmartly/claude-code-bridge`)
     process.exit(1)
   }
+
+  if (opts.json) {
+    console.log(JSON.stringify(truncateStrings(response.data, opts.maxChars), null, 2))
+    if (response.status >= 400) process.exit(1)
+    return
+  }
+
+  if (response.status === 401) {
+    console.error(`Error: ${response.data.error || 'Unauthorized'}`)
+    console.error(`Pass the bridge's pairing token with --token or BRIDGE_TOKEN`)
+    process.exit(1)
+  }
+
+  if (response.status >= 400) {
+    console.error(`Error: ${response.data.error || 'Request failed'}`)
+    process.exit(1)
+  }
+
+  handler.print(response.data, opts)
 }
 
 main()
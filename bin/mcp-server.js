@@ -0,0 +1,271 @@
+#!/usr/bin/env node
+
+// MCP server (stdio) giving Claude typed page-inspection tools for one bridge conversation.
+// The bridge passes it to the Claude CLI with --mcp-config; each tool call is proxied to the bridge's HTTP API.
+
+const http = require('http')
+const https = require('https')
+const { version } = require('../package.json')
+
+const SERVER_NAME = 'claude-code-bridge'
+const DEFAULT_PROTOCOL_VERSION = '2024-11-05'
+
+function parseArgs(args) {
+  const result = {
+    conversationId: process.env.BRIDGE_CONVERSATION_ID || null,
+    bridgeUrl: process.env.BRIDGE_URL || 'http://127.0.0.1:3000'
+  }
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i]
+    if (arg === '--conversation-id' && args[i + 1]) {
+      result.conversationId = args[++i]
+    } else if (arg === '--bridge-url' && args[i + 1]) {
+      result.bridgeUrl = args[++i]
+    } else if (arg === '--help' || arg === '-h') {
+      console.error(`
+Usage: mcp-server --conversation-id <id> [--bridge-url <url>]
+
+Serves the bridge's page-inspection tools over MCP (JSON-RPC on stdin/stdout), scoped to one conversation.
+The bridge starts it for every Claude CLI process; run it by hand only to debug.
+The pairing token is read from BRIDGE_TOKEN.
+
+Options:
+  --conversation-id <id>    Conversation whose stored pages the tools read (or BRIDGE_CONVERSATION_ID).
+  --bridge-url <url>        Bridge server URL (or BRIDGE_URL, default: http://127.0.0.1:3000)
+  --help, -h                Show this help message.
+`)
+      process.exit(0)
+    }
+  }
+
+  return result
+}
+
+const opts = parseArgs(process.argv.slice(2))
+
+function request(method, path, body = null) {
+  return new Promise((resolve, reject) => {
+    const url = `${opts.bridgeUrl}/conversations/${encodeURIComponent(opts.conversationId)}${path}`
+    const client = url.startsWith('https') ? https : http
+    const payload = body ? JSON.stringify(body) : null
+    const headers = payload ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } : {}
+    if (process.env.BRIDGE_TOKEN) {
+      headers['X-Bridge-Token'] = process.env.BRIDGE_TOKEN
+    }
+
+    const req = client.request(url, { method, headers }, (res) => {
+      let data = ''
+      res.on('data', chunk => data += chunk)
+      res.on('end', () => {
+        try {
+          resolve({ status: res.statusCode, data: JSON.parse(data) })
+        } catch (e) {
+          resolve({ status: res.statusCode, data: { error: data } })
+        }
+      })
+    })
+    req.on('error', reject)
+    req.end(payload)
+  })
+}
+
+function query(params) {
+  const search = new URLSearchParams()
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null) search.set(key, String(value))
+  }
+  const string = search.toString()
+  return string ? `?${string}` : ''
+}
+
+const PAGE_PROPERTIES = {
+  page: { type: 'string', description: 'Page context (from list_pages). Defaults to the page updated last.' }
+}
+const SNAPSHOT_PROPERTIES = {
+  ...PAGE_PROPERTIES,
+  snapshot: { type: 'integer', description: 'Snapshot number (from list_snapshots). Defaults to the latest one.' }
+}
+
+const TOOLS = [
+  {
+    name: 'get_chunk',
+    description: 'Get the outerHTML of the first element matching a CSS selector in the stored page.',
+    inputSchema: {
+      type: 'object',
+      properties: { selector: { type: 'string', description: 'CSS selector' }, ...SNAPSHOT_PROPERTIES },
+      required: ['selector']
+    },
+    call: ({ selector, page, snapshot }) => request('GET', `/chunk${query({ selector, page, snapshot })}`)
+  },
+  {
+    name: 'get_chunks',
+    description: 'Get the outerHTML for several CSS selectors at once.',
+    inputSchema: {
+      type: 'object',
+      properties: { selectors: { type: 'array', items: { type: 'string' }, minItems: 1 }, ...SNAPSHOT_PROPERTIES },
+      required: ['selectors']
+    },
+    call: ({ selectors, page, snapshot }) => request('POST', '/chunks', { selectors, page, snapshot })
+  },
+  {
+    name: 'xpath',
+    description: 'Run an XPath query on the stored page. Returns matching elements with a CSS selector for each.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        xpath: { type: 'string' },
+        maxResults: { type: 'integer', minimum: 1, default: 10 },
+        ...SNAPSHOT_PROPERTIES
+      },
+      required: ['xpath']
+    },
+    call: ({ xpath, maxResults, page, snapshot }) => request('POST', '/xpath', { xpath, maxResults, page, snapshot })
+  },
+  {
+    name: 'outline',
+    description: 'Compact skeleton of the stored page: landmarks, headings, forms, buttons, links, images and repeated lists, each with a selector.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        depth: { type: 'integer', minimum: 0, default: 4 },
+        maxChars: { type: 'integer', minimum: 1, default: 4000 },
+        ...PAGE_PROPERTIES
+      }
+    },
+    call: ({ depth, maxChars, page }) => request('GET', `/outline${query({ depth, maxChars, page })}`)
+  },
+  {
+    name: 'search',
+    description: 'Find elements by visible text (case-insensitive, whitespace-normalized) or a regular expression.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string' },
+        regex: { type: 'boolean', default: false },
+        tag: { type: 'string', description: 'Only elements with this tag name' },
+        role: { type: 'string', description: 'Only elements with this ARIA role' },
+        maxResults: { type: 'integer', minimum: 1, default: 10 },
+        ...PAGE_PROPERTIES
+      },
+      required: ['query']
+    },
+    call: ({ query: text, regex, tag, role, maxResults, page }) => request('POST', '/search', { query: text, regex, tag, role, maxResults, page })
+  },
+  {
+    name: 'get_styles',
+    description: 'Inline style and the CSS rules that apply to an element, most specific first.',
+    inputSchema: {
+      type: 'object',
+      properties: { selector: { type: 'string' }, ...PAGE_PROPERTIES },
+      required: ['selector']
+    },
+    call: ({ selector, page }) => request('GET', `/styles${query({ selector, page })}`)
+  },
+  {
+    name: 'suggest_selectors',
+    description: 'Ranked selectors that match only the given element(s), scored for how likely they survive page changes.',
+    inputSchema: {
+      type: 'object',
+      properties: { selector: { type: 'string' }, xpath: { type: 'string' }, ...PAGE_PROPERTIES }
+    },
+    call: ({ selector, xpath, page }) => request('POST', '/selectors/suggest', { selector, xpath, page })
+  },
+  {
+    name: 'list_pages',
+    description: 'List the stored page contexts (URL and viewport) and which one is current.',
+    inputSchema: { type: 'object', properties: {} },
+    call: () => request('GET', '/pages')
+  },
+  {
+    name: 'list_snapshots',
+    description: 'List the stored snapshots of the page(s). A new snapshot is stored every time the extension refreshes the page.',
+    inputSchema: { type: 'object', properties: { ...PAGE_PROPERTIES } },
+    call: ({ page }) => request('GET', `/snapshots${query({ page })}`)
+  },
+  {
+    name: 'diff_snapshots',
+    description: 'Elements added, removed, changed or moved between two snapshots. Defaults to the latest snapshot of the page and the one before it.',
+    inputSchema: {
+      type: 'object',
+      properties: { from: { type: 'integer' }, to: { type: 'integer' }, ...PAGE_PROPERTIES }
+    },
+    call: ({ from, to, page }) => request('GET', `/snapshots/diff${query({ from, to, page })}`)
+  }
+]
+
+function send(message) {
+  process.stdout.write(JSON.stringify({ jsonrpc: '2.0', ...message }) + '\n')
+}
+
+async function callTool(name, args) {
+  const tool = TOOLS.find(candidate => candidate.name === name)
+  if (!tool) {
+    return { content: [{ type: 'text', text: `Unknown tool: ${name}` }], isError: true }
+  }
+
+  try {
+    const response = await tool.call(args || {})
+    return {
+      content: [{ type: 'text', text: JSON.stringify(response.data, null, 2) }],
+      isError: response.status >= 400
+    }
+  } catch (error) {
+    return { content: [{ type: 'text', text: `Failed to reach the bridge at ${opts.bridgeUrl}: ${error.message}` }], isError: true }
+  }
+}
+
+async function handleMessage(message) {
+  const { id, method, params = {} } = message
+  // Notifications (no id) need no answer
+  if (id === undefined || id === null) return
+
+  if (method === 'initialize') {
+    send({
+      id,
+      result: {
+        protocolVersion: params.protocolVersion || DEFAULT_PROTOCOL_VERSION,
+        capabilities: { tools: {} },
+        serverInfo: { name: SERVER_NAME, version }
+      }
+    })
+  } else if (method === 'tools/list') {
+    send({ id, result: { tools: TOOLS.map(({ call, ...tool }) => tool) } })
+  } else if (method === 'tools/call') {
+    send({ id, result: await callTool(params.name, params.arguments) })
+  } else if (method === 'ping') {
+    send({ id, result: {} })
+  } else {
+    send({ id, error: { code: -32601, message: `Method not found: ${method}` } })
+  }
+}
+
+if (!opts.conversationId) {
+  console.error('Error: --conversation-id is required')
+  process.exit(1)
+}
+
+let buffer = ''
+const pending = new Set()
+process.stdin.on('data', (data) => {
+  buffer += data.toString()
+  const lines = buffer.split('\n')
+  buffer = lines.pop()
+
+  for (const line of lines) {
+    if (!line.trim()) continue
+    let message
+    try {
+      message = JSON.parse(line)
+    } catch (error) {
+      send({ id: null, error: { code: -32700, message: 'Parse error' } })
+      continue
+    }
+    const handling = handleMessage(message)
+      .catch(error => send({ id: message.id, error: { code: -32603, message: error.message } }))
+      .finally(() => pending.delete(handling))
+    pending.add(handling)
+  }
+})
+// Answer the calls still in flight before exiting
+process.stdin.on('end', () => Promise.all(pending).then(() => process.exit(0)))
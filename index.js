@@ -3,29 +3,375 @@
 const express = require('express')
 const cors = require('cors')
 const { spawn } = require('child_process')
+const crypto = require('crypto')
 const fs = require('fs')
 const path = require('path')
 const os = require('os')
+const vm = require('vm')
 const { JSDOM } = require('jsdom')
+const acorn = require('acorn')
+const acornWalk = require('acorn-walk')
+const CSSOM = require('@acemir/cssom')
+const { version: BRIDGE_VERSION } = require('./package.json')
 
-const PREFERRED_PORTS = [3000, 3001, 3002, 3003, 3004]
-const PORT = process.env.PORT ? parseInt(process.env.PORT) : null
-const MAX_LOG_LENGTH = 3000 // ~one page of text
+const CONFIG_FILE_NAME = 'claude-code-bridge.config.json'
+const PERMISSION_MODES = ['default', 'acceptEdits', 'plan', 'bypassPermissions']
+// Page-inspection tools reach Claude as mcp__bridge__<tool>
+const MCP_SERVER_NAME = 'bridge'
+
+// Server settings, layered: defaults < config file (working or home directory) < env vars < command-line flags
+const CONFIG_OPTIONS = {
+  port: { type: 'port', env: 'PORT', flag: '--port', default: null, description: 'Only port to listen on (no fallback)' },
+  ports: { type: 'ports', env: 'BRIDGE_PORTS', flag: '--ports', default: [3000, 3001, 3002, 3003, 3004], description: 'Ports tried in order when port is unset' },
+  host: { type: 'string', env: 'BRIDGE_HOST', flag: '--host', default: '127.0.0.1', description: 'Interface to bind (0.0.0.0 or :: for every interface)' },
+  dataDir: { type: 'path', env: 'BRIDGE_DATA_DIR', flag: '--data-dir', default: path.join(os.homedir(), '.claude-code-bridge'), description: 'Conversations, schemas and the pairing token' },
+  allowedOrigins: { type: 'list', env: 'ALLOWED_ORIGINS', flag: '--allowed-origins', default: [], description: 'Browser origins allowed to call the bridge (default: the first extension to pair)' },
+  jsonLimit: { type: 'size', env: 'BRIDGE_JSON_LIMIT', flag: '--json-limit', default: '10mb', description: 'Maximum request body size' },
+  maxLogLength: { type: 'integer', min: 0, env: 'MAX_LOG_LENGTH', flag: '--max-log-length', default: 3000, description: 'Characters of each event shown in the log' },
+  defaultModel: { type: 'string', env: 'BRIDGE_DEFAULT_MODEL', flag: '--model', default: 'sonnet', description: 'Model for conversations that don\'t pick one' },
+  allowedTools: { type: 'list', env: 'BRIDGE_ALLOWED_TOOLS', flag: '--allowed-tools', default: [`mcp__${MCP_SERVER_NAME}`], description: 'Tools Claude may use without asking' },
+  permissionMode: { type: 'enum', values: PERMISSION_MODES, env: 'BRIDGE_PERMISSION_MODE', flag: '--permission-mode', default: 'default', description: 'Claude CLI --permission-mode' },
+  claudeSettings: { type: 'object', env: 'BRIDGE_CLAUDE_SETTINGS', flag: '--claude-settings', default: { disableClaudeMd: true }, description: 'Claude CLI --settings (JSON)' },
+  cliBackend: { type: 'string', env: 'CLAUDE_BACKEND', flag: '--backend', default: 'claude', description: 'claude or fake' },
+  cliCommand: { type: 'string', env: 'CLAUDE_CLI_COMMAND', flag: '--cli-command', default: null, description: 'Command speaking stream-json, overrides the backend' },
+  maxRepairAttempts: { type: 'integer', min: 0, env: 'MAX_REPAIR_ATTEMPTS', flag: '--max-repair-attempts', default: 2, description: 'Times Claude is asked to fix an invalid response' },
+  maxHtmlSnapshots: { type: 'integer', min: 1, env: 'MAX_HTML_SNAPSHOTS', flag: '--max-html-snapshots', default: 10, description: 'Snapshots kept per page' },
+  idleTimeoutMinutes: { type: 'number', min: 0, env: 'CONVERSATION_IDLE_TIMEOUT_MINUTES', flag: '--idle-timeout', default: 60, description: 'Idle conversations are torn down after this long (0 disables)' },
+  sseHeartbeatMs: { type: 'integer', min: 1, env: 'SSE_HEARTBEAT_MS', flag: '--sse-heartbeat-ms', default: 15000, description: 'How often open streams get a keep-alive comment' },
+  jsPolicyFile: { type: 'path', env: 'JS_POLICY_FILE', flag: '--js-policy-file', default: null, description: 'JSON file overriding JS safety policy rules' }
+}
+
+// Values from env vars and flags arrive as strings; config file values must already have the right JSON type
+function parseConfigValue(key, value, source, baseDir = process.cwd()) {
+  const option = CONFIG_OPTIONS[key]
+  const fail = (expected) => {
+    throw new Error(`Invalid ${key} from ${source}: expected ${expected}, got ${JSON.stringify(value)}`)
+  }
+  const fromString = typeof value === 'string'
+
+  if (value === null) return null
+
+  switch (option.type) {
+    case 'string':
+    case 'path': {
+      if (typeof value !== 'string' || !value.trim()) fail('a non-empty string')
+      return option.type === 'path' ? path.resolve(baseDir, value) : value
+    }
+    case 'integer':
+    case 'number':
+    case 'port': {
+      const number = fromString && value.trim() ? Number(value) : value
+      if (typeof number !== 'number' || !Number.isFinite(number)) fail('a number')
+      if (option.type !== 'number' && !Number.isInteger(number)) fail('an integer')
+      if (option.type === 'port' && (number < 1 || number > 65535)) fail('a port between 1 and 65535')
+      if (option.min !== undefined && number < option.min) fail(`a number >= ${option.min}`)
+      return number
+    }
+    case 'ports': {
+      const list = fromString ? value.split(',').map(item => item.trim()).filter(Boolean) : value
+      if (!Array.isArray(list) || list.length === 0) fail('a non-empty list of ports')
+      return list.map(item => {
+        const number = typeof item === 'string' ? Number(item) : item
+        if (!Number.isInteger(number) || number < 1 || number > 65535) fail('a list of ports between 1 and 65535')
+        return number
+      })
+    }
+    case 'list': {
+      const list = fromString ? value.split(',').map(item => item.trim()).filter(Boolean) : value
+      if (!Array.isArray(list) || list.some(item => typeof item !== 'string' || !item.trim())) fail('a list of strings')
+      return list
+    }
+    case 'size': {
+      if (typeof value === 'number' && Number.isInteger(value) && value > 0) return value
+      if (typeof value !== 'string' || !/^\d+(\.\d+)?\s*(b|kb|mb|gb)?$/i.test(value.trim())) fail('a size such as "10mb"')
+      return value.trim()
+    }
+    case 'enum': {
+      if (!option.values.includes(value)) fail(`one of ${option.values.join(', ')}`)
+      return value
+    }
+    case 'object': {
+      let object = value
+      if (fromString) {
+        try {
+          object = JSON.parse(value)
+        } catch (error) {
+          fail('a JSON object')
+        }
+      }
+      if (!object || typeof object !== 'object' || Array.isArray(object)) fail('a JSON object')
+      return object
+    }
+  }
+}
+
+function findConfigFile(explicitPath) {
+  if (explicitPath) {
+    const resolved = path.resolve(explicitPath)
+    if (!fs.existsSync(resolved)) {
+      throw new Error(`Config file not found: ${resolved}`)
+    }
+    return resolved
+  }
+  return [process.cwd(), os.homedir()]
+    .map(dir => path.join(dir, CONFIG_FILE_NAME))
+    .find(candidate => fs.existsSync(candidate)) || null
+}
+
+function printUsage() {
+  const width = Math.max(...Object.values(CONFIG_OPTIONS).map(option => option.flag.length)) + 10
+  console.log(`
+Usage: claude-code-bridge [--config <file>] [options]
+
+Settings are read from defaults, then ${CONFIG_FILE_NAME} (working directory, else home directory),
+then environment variables, then these flags. Config file keys are the names in brackets.
+
+Options:
+  ${'--config <file>'.padEnd(width)}Config file to use instead of searching (or BRIDGE_CONFIG)
+${Object.entries(CONFIG_OPTIONS).map(([key, option]) => `  ${`${option.flag} <value>`.padEnd(width)}${option.description} [${key}, ${option.env}]`).join('\n')}
+  ${'--help, -h'.padEnd(width)}Show this help message.
+`)
+}
+
+// Returns { values, sources, file }; sources says which layer each value came from
+function loadConfig(args) {
+  const values = {}
+  const sources = {}
+  for (const [key, option] of Object.entries(CONFIG_OPTIONS)) {
+    values[key] = option.default
+    sources[key] = 'default'
+  }
+
+  const flags = {}
+  let explicitPath = process.env.BRIDGE_CONFIG || null
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i]
+    if (arg === '--help' || arg === '-h') {
+      printUsage()
+      process.exit(0)
+    }
+    const [name, inlineValue] = arg.startsWith('--') && arg.includes('=') ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)] : [arg, undefined]
+    const value = inlineValue !== undefined ? inlineValue : args[i + 1]
+    const key = Object.keys(CONFIG_OPTIONS).find(candidate => CONFIG_OPTIONS[candidate].flag === name)
+    if (name !== '--config' && !key) {
+      throw new Error(`Unknown option: ${arg} (see --help)`)
+    }
+    // `--port --host x` means a forgotten value, not a port named "--host"; --flag=--value still works
+    if (value === undefined || (inlineValue === undefined && value.startsWith('--'))) {
+      throw new Error(`Missing value for ${name}`)
+    }
+    if (inlineValue === undefined) i++
+    if (key) {
+      flags[key] = value
+    } else {
+      explicitPath = value
+    }
+  }
+
+  const file = findConfigFile(explicitPath)
+  if (file) {
+    let fileValues
+    try {
+      fileValues = JSON.parse(fs.readFileSync(file, 'utf8'))
+    } catch (error) {
+      throw new Error(`Invalid config file ${file}: ${error.message}`)
+    }
+    if (!fileValues || typeof fileValues !== 'object' || Array.isArray(fileValues)) {
+      throw new Error(`Invalid config file ${file}: expected a JSON object`)
+    }
+    for (const [key, value] of Object.entries(fileValues)) {
+      if (!CONFIG_OPTIONS[key]) {
+        throw new Error(`Unknown setting "${key}" in ${file} (available: ${Object.keys(CONFIG_OPTIONS).join(', ')})`)
+      }
+      // Relative paths in the file are relative to the file itself
+      values[key] = parseConfigValue(key, value, file, path.dirname(file))
+      sources[key] = 'file'
+    }
+  }
+
+  for (const [key, option] of Object.entries(CONFIG_OPTIONS)) {
+    if (process.env[option.env] !== undefined && process.env[option.env] !== '') {
+      values[key] = parseConfigValue(key, process.env[option.env], `env ${option.env}`)
+      sources[key] = `env ${option.env}`
+    }
+  }
+
+  for (const [key, value] of Object.entries(flags)) {
+    values[key] = parseConfigValue(key, value, `flag ${CONFIG_OPTIONS[key].flag}`)
+    sources[key] = `flag ${CONFIG_OPTIONS[key].flag}`
+  }
+
+  return { values, sources, file }
+}
+
+let CONFIG
+try {
+  CONFIG = loadConfig(process.argv.slice(2))
+} catch (error) {
+  console.error(`\n❌ ${error.message}`)
+  process.exit(1)
+}
+const config = CONFIG.values
+
+const PREFERRED_PORTS = config.ports
+const PORT = config.port
+const MAX_LOG_LENGTH = config.maxLogLength // ~one page of text by default
+const PERMISSION_TIMEOUT_MS = 60000 // Deny tool use if the extension doesn't answer in time
+const SSE_BUFFER_SIZE = 500 // Events kept per conversation for Last-Event-ID replay
+const SSE_HEARTBEAT_MS = config.sseHeartbeatMs // Comment line sent to idle streams so proxies keep them open
+const CLI_READY_TIMEOUT_MS = 15000 // Send queued messages anyway if the CLI never confirms it's ready
+const MAX_REPAIR_ATTEMPTS = config.maxRepairAttempts // Times Claude is asked to fix a structured response that fails validation
+const JS_POLICY_FILE = config.jsPolicyFile // JSON file overriding DEFAULT_JS_POLICY rules
+const CANCEL_GRACE_MS = 5000 // Kill the CLI if an interrupted turn doesn't finish in time
+const MAX_LCS_CELLS = 1000000 // Sibling lists larger than this (before x after) are diffed greedily, not by LCS
+const MAX_USAGE_TURNS = 200 // Per-turn usage entries kept per conversation (totals cover every turn)
+const MAX_HTML_SNAPSHOTS = config.maxHtmlSnapshots // Older page snapshots are dropped
+const DATA_DIR = config.dataDir
+const CONVERSATIONS_DIR = path.join(DATA_DIR, 'conversations')
+const SCHEMAS_FILE = path.join(DATA_DIR, 'schemas.json')
+const PERSIST_DEBOUNCE_MS = 500 // Coalesce bursts of updates into one write per conversation
+const IDLE_TIMEOUT_MINUTES = config.idleTimeoutMinutes // Conversations untouched for this long are torn down (0 disables the reaper)
+const TOKEN_FILE = path.join(DATA_DIR, 'token')
+const PAIRED_ORIGIN_FILE = path.join(DATA_DIR, 'paired-origin')
+const MCP_CONFIG_DIR = path.join(DATA_DIR, 'mcp')
+const ALLOWED_ORIGINS = config.allowedOrigins
+const BRIDGE_HOST = config.host // 127.0.0.1 by default: loopback connections only
+
+// Commands that speak the Claude CLI stream-json protocol. cliCommand overrides the backend entirely.
+const CLI_BACKENDS = {
+  claude: { command: 'npx', args: ['@anthropic-ai/claude-code'] },
+  fake: { command: process.execPath, args: [path.join(__dirname, 'bin', 'fake-claude.js')] }
+}
+// Reported by /health so clients (get-chunk) can tell the bridge apart from other local servers
+const SERVICE_NAME = 'claude-code-bridge'
+
+// Pairing token every client must send; generated on first start and kept in the data directory
+function loadOrCreateToken() {
+  if (process.env.BRIDGE_TOKEN) {
+    return process.env.BRIDGE_TOKEN
+  }
+
+  try {
+    const token = fs.readFileSync(TOKEN_FILE, 'utf8').trim()
+    if (token) return token
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error
+  }
+
+  const token = crypto.randomBytes(32).toString('hex')
+  fs.mkdirSync(DATA_DIR, { recursive: true })
+  fs.writeFileSync(TOKEN_FILE, `${token}\n`, { mode: 0o600 })
+  console.log(`🔑 Generated pairing token in ${TOKEN_FILE}`)
+  return token
+}
+
+// Without ALLOWED_ORIGINS, the first extension to present the token is pinned and the only one let in after
+function loadPairedOrigin() {
+  try {
+    return fs.readFileSync(PAIRED_ORIGIN_FILE, 'utf8').trim() || null
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error
+    return null
+  }
+}
+
+function pairOrigin(origin) {
+  pairedOrigin = origin
+  fs.mkdirSync(DATA_DIR, { recursive: true })
+  fs.writeFileSync(PAIRED_ORIGIN_FILE, `${origin}\n`, { mode: 0o600 })
+  console.log(`🔗 Paired with ${origin} (delete ${PAIRED_ORIGIN_FILE} to pair another extension)`)
+}
+
+// Browsers always send Origin; CLI tools and the MCP server don't
+function isAllowedOrigin(origin) {
+  if (!origin) return true
+  if (ALLOWED_ORIGINS.length > 0) return ALLOWED_ORIGINS.includes(origin)
+  if (pairedOrigin) return origin === pairedOrigin
+  return origin.startsWith('chrome-extension://')
+}
+
+// The token stays out of the log, including when the CLI echoes it or a URL carries it as ?token=
+function maskSecrets(text) {
+  const masked = text.replace(/([?&]token=)[^&\s"']+/g, '$1****')
+  return BRIDGE_TOKEN ? masked.split(BRIDGE_TOKEN).join('****') : masked
+}
+
+// Wildcard binds are reached on loopback; IPv6 literals need brackets in URLs
+function urlHost(host) {
+  if (!host || host === '0.0.0.0' || host === '::') return 'localhost'
+  return host.includes(':') ? `[${host}]` : host
+}
+
+function hasValidToken(req) {
+  let token = req.get('X-Bridge-Token')
+  // EventSource can't send headers, so streams may pass the token in the query string instead
+  if (!token && req.method === 'GET' && req.path.endsWith('/stream') && typeof req.query.token === 'string') {
+    token = req.query.token
+  }
+  if (!token || !BRIDGE_TOKEN) return false
+
+  const given = Buffer.from(token)
+  const expected = Buffer.from(BRIDGE_TOKEN)
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected)
+}
 
 const app = express()
-app.use(cors())
-app.use(express.json({ limit: '10mb' }))
+app.use((req, res, next) => {
+  const origin = req.get('Origin')
+  if (!isAllowedOrigin(origin)) {
+    const hint = pairedOrigin && ALLOWED_ORIGINS.length === 0
+      ? ` (paired with ${pairedOrigin}; delete ${PAIRED_ORIGIN_FILE} to pair another extension, or list both in allowedOrigins)`
+      : ''
+    return res.status(403).json({ error: `Origin not allowed: ${origin}${hint}` })
+  }
+  next()
+})
+app.use(cors({ origin: true }))
+// Everything but the minimal /health needs the pairing token
+app.use((req, res, next) => {
+  if (req.path === '/health') {
+    return next()
+  }
+  if (!hasValidToken(req)) {
+    return res.status(401).json({ error: 'Missing or invalid pairing token (send it as the X-Bridge-Token header)' })
+  }
+
+  const origin = req.get('Origin')
+  if (origin && !pairedOrigin && ALLOWED_ORIGINS.length === 0) {
+    pairOrigin(origin)
+  }
+  next()
+})
+app.use(express.json({ limit: config.jsonLimit }))
+app.use('/conversations/:id', async (req, res, next) => {
+  if (conversationExists(req.params.id) || await restoreReapedConversation(req.params.id)) {
+    touchConversation(req.params.id)
+  }
+  next()
+})
 
 const claudeProcesses = new Map()
-const activeStreams = new Map()
+const activeStreams = new Map() // conversationId -> Set of SSE subscriber responses
 const conversationMessages = new Map()
 const sessionTracking = new Map()
 const outputBuffers = new Map()
-const conversationHtml = new Map() // Stores HTML for chunk retrieval
+const conversationHtml = new Map() // Numbered HTML snapshots for chunk retrieval
 const conversationModels = new Map() // Stores model selection per conversation
-
-// Global JSON schema - set by extension on first conversation
-let globalJsonSchema = null
+const pendingPermissions = new Map() // conversationId -> Map(requestId -> pending permission request)
+const streamEventLogs = new Map() // conversationId -> { nextId, events } ring buffer of sent SSE events
+const conversationQueues = new Map() // conversationId -> { state, pending } FIFO of user messages per CLI process
+const pendingControlRequests = new Map() // requestId -> { conversationId, callback } for bridge-initiated control requests
+const conversationActivity = new Map() // conversationId -> timestamp of last request or CLI output
+const persistTimers = new Map() // conversationId -> pending debounced write
+const persistWrites = new Map() // conversationId -> promise of the write in progress (writes run in order)
+const conversationSchemas = new Map() // conversationId -> { jsonSchema } or { name, version } registry reference
+const schemaRegistry = new Map() // schema name -> Map(version -> { schema, createdAt })
+const repairStates = new Map() // conversationId -> { attempts, pending } validation repair state of the current turn
+const conversationChanges = new Map() // conversationId -> revisions of the accumulated DOM change list
+const conversationUsage = new Map() // conversationId -> { total, turns, current } token and cost accounting
+const conversationBudgets = new Map() // conversationId -> { maxCostUsd?, maxTokens?, maxTurns? }
+const reportedTotals = new Map() // conversationId -> { costUsd, numTurns } running totals last reported by the CLI process
+let listeningPort = null // Set once the server is listening; the MCP server calls back into it
 
 function truncateForLog(data, maxLength = MAX_LOG_LENGTH) {
   let output
@@ -38,6 +384,7 @@ function truncateForLog(data, maxLength = MAX_LOG_LENGTH) {
     output = String(data)
   }
 
+  output = maskSecrets(output)
   if (output.length <= maxLength) {
     return output
   }
@@ -183,411 +530,3596 @@ const DOM_CHANGES_SCHEMA = {
   required: ['domChanges', 'response', 'action']
 }
 
-function spawnClaudeForConversation(conversationId, systemPrompt, sessionId, isResume = false, model = null) {
-  if (claudeProcesses.has(conversationId)) {
-    console.log(`Claude CLI already running for conversation ${conversationId}`)
-    return claudeProcesses.get(conversationId)
-  }
-
-  // Get model from stored settings or use default (sonnet)
-  const selectedModel = model || conversationModels.get(conversationId) || 'sonnet'
-  console.log(`Spawning Claude CLI process for conversation ${conversationId} with model: ${selectedModel}...`)
+// What to do when a `javascript` DOM change does something risky: 'block' sends it back to Claude,
+// 'warn' forwards it with the finding attached, 'allow' ignores it
+const DEFAULT_JS_POLICY = {
+  network: 'block', // fetch, XMLHttpRequest, sendBeacon, WebSocket, EventSource, new Image()
+  eval: 'block', // eval, Function constructor (also via .constructor), string timers
+  cookies: 'block', // document.cookie
+  storage: 'warn', // localStorage, sessionStorage, indexedDB
+  script_injection: 'block', // <script> creation, document.write, dynamic import(), inline handlers in markup
+  dynamic_access: 'warn', // obj[expr] with a key computed at runtime, which can hide any of the above
+  dynamic_url: 'warn', // src/href/action/location set to a value computed at runtime
+  parse_error: 'block' // Code that can't be parsed can't be checked
+}
 
-  const args = [
-    '@anthropic-ai/claude-code',
-    '--print',
-    '--verbose',
-    '--output-format', 'stream-json',
-    '--input-format', 'stream-json',
-    '--replay-user-messages',
-    '--permission-mode', 'default',
-    '--allowedTools', 'Bash(curl:*),Bash(npx:*)',  // Allow curl and npx for chunk retrieval
-    '--strict-mcp-config',
-    '--model', selectedModel,  // Use selected model (sonnet, opus, or haiku)
-    '--settings', JSON.stringify({ disableClaudeMd: true })
-  ]
+function loadJsPolicy() {
+  if (!JS_POLICY_FILE) return { ...DEFAULT_JS_POLICY }
 
-  if (sessionId) {
-    if (isResume) {
-      console.log(`Resuming session ${sessionId} for conversation ${conversationId}`)
-      args.push('--resume', sessionId)
-    } else {
-      console.log(`Starting new session ${sessionId} for conversation ${conversationId}`)
-      args.push('--session-id', sessionId)
+  const overrides = JSON.parse(fs.readFileSync(JS_POLICY_FILE, 'utf8'))
+  const rules = overrides.rules || overrides
+  for (const [rule, action] of Object.entries(rules)) {
+    if (!(rule in DEFAULT_JS_POLICY)) {
+      throw new Error(`Unknown JS policy rule "${rule}" in ${JS_POLICY_FILE}`)
+    }
+    if (!['block', 'warn', 'allow'].includes(action)) {
+      throw new Error(`Invalid action "${action}" for JS policy rule "${rule}" (use block, warn or allow)`)
     }
   }
+  return { ...DEFAULT_JS_POLICY, ...rules }
+}
 
-  if (systemPrompt) {
-    console.log(`Using custom system prompt for conversation ${conversationId}`)
-    args.push('--system-prompt', systemPrompt)
-  }
+const NETWORK_APIS = new Set(['fetch', 'XMLHttpRequest', 'sendBeacon', 'WebSocket', 'EventSource'])
+const STORAGE_APIS = new Set(['localStorage', 'sessionStorage', 'indexedDB'])
+const EVAL_APIS = new Set(['eval', 'Function'])
+const URL_PROPERTIES = new Set(['src', 'srcset', 'href', 'action', 'formAction', 'poster', 'location'])
+const BEACON_CONSTRUCTORS = new Set(['Image', 'Audio'])
+// Element lookups may name script tags without creating one
+const TAG_QUERY_METHODS = new Set(['querySelector', 'querySelectorAll', 'getElementsByTagName', 'closest', 'matches'])
+// Markup that runs code: a script tag, an inline event handler attribute, or a javascript: URL
+const EXECUTABLE_MARKUP = /<script|<[^>]*\son[a-z]+\s*=|javascript:/i
 
-  // Add JSON schema for structured output (use global if provided by extension, otherwise fallback)
-  const schemaToUse = globalJsonSchema || DOM_CHANGES_SCHEMA
-  console.log(`Adding JSON schema for structured DOM changes output (source: ${globalJsonSchema ? 'extension' : 'fallback'})`)
-  args.push('--json-schema', JSON.stringify(schemaToUse))
+// Value of a string known before the code runs: 'a', `a` (no expressions) and 'a' + 'b'
+function staticString(node) {
+  if (!node) return null
+  if (node.type === 'Literal') return typeof node.value === 'string' ? node.value : null
+  if (node.type === 'TemplateLiteral') return node.expressions.length === 0 ? node.quasis.map(quasi => quasi.value.cooked).join('') : null
+  if (node.type === 'BinaryExpression' && node.operator === '+') {
+    const left = staticString(node.left)
+    const right = staticString(node.right)
+    return left !== null && right !== null ? left + right : null
+  }
+  return null
+}
 
-  console.log(`[${conversationId}] ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`)
-  console.log(`[${conversationId}] 🚀 SPAWNING CLAUDE CLI WITH ARGUMENTS:`)
-  console.log(`[${conversationId}] Command: npx ${args.join(' ')}`)
-  console.log(`[${conversationId}] Using --json-schema for structured output`)
-  console.log(`[${conversationId}] ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`)
+// Name of a property access (obj.name, obj['name'], obj['na' + 'me'])
+function propertyName(node) {
+  if (node.type !== 'MemberExpression') return null
+  if (!node.computed && node.property.type === 'Identifier') return node.property.name
+  return staticString(node.property)
+}
 
-  const claudeProcess = spawn('npx', args, {
-    stdio: ['pipe', 'pipe', 'pipe']
-  })
+// Name of the function being called: fetch(), window.fetch(), window['fetch']()
+function calleeName(node) {
+  if (node.type === 'Identifier') return node.name
+  return propertyName(node)
+}
 
-  claudeProcess.stdout.on('data', (data) => {
-    let buffer = outputBuffers.get(conversationId) || ''
-    buffer += data.toString()
+function isStringArgument(node) {
+  return Boolean(node) && ((node.type === 'Literal' && typeof node.value === 'string') || node.type === 'TemplateLiteral' || node.type === 'BinaryExpression')
+}
 
-    const lines = buffer.split('\n')
-    buffer = lines.pop()
-    outputBuffers.set(conversationId, buffer)
+// Statically analyze one javascript change and list what the policy cares about. Sensitive APIs are
+// flagged wherever they are referenced, not only where they are called, so aliases like
+// `const f = fetch` or `fetch.call(...)` are caught too.
+function inspectJavascript(code) {
+  const findings = []
+  const add = (rule, message, node) => {
+    const line = node && node.loc ? node.loc.start.line : null
+    if (!findings.some(finding => finding.rule === rule && finding.message === message && finding.line === line)) {
+      findings.push({ rule, message, line })
+    }
+  }
 
-    for (const line of lines) {
-      if (!line.trim()) continue
+  let ast
+  try {
+    ast = acorn.parse(code, {
+      ecmaVersion: 'latest',
+      sourceType: 'script',
+      locations: true,
+      allowReturnOutsideFunction: true,
+      allowAwaitOutsideFunction: true
+    })
+  } catch (error) {
+    add('parse_error', `Code could not be parsed: ${error.message}`, null)
+    return findings
+  }
 
-      try {
-        const event = JSON.parse(line)
-        console.log(`[${conversationId}] ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`)
-        console.log(`[${conversationId}] 📦 RAW EVENT FROM CLAUDE CLI:`)
-        const truncatedEvent = truncateToolUseResponses(event)
-        console.log(truncateForLog(truncatedEvent))
-        console.log(`[${conversationId}] ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`)
+  // A global (fetch) or property (window.fetch) name; cookie, write and constructor only matter as properties
+  const checkName = (name, node, isProperty) => {
+    if (NETWORK_APIS.has(name)) {
+      add('network', `Network API ${name} referenced`, node)
+    } else if (EVAL_APIS.has(name)) {
+      add('eval', `Dynamic code execution via ${name}`, node)
+    } else if (STORAGE_APIS.has(name)) {
+      add('storage', `Storage access via ${name}`, node)
+    } else if (isProperty && name === 'constructor') {
+      add('eval', 'Access to .constructor, which reaches the Function constructor', node)
+    } else if (isProperty && name === 'cookie') {
+      add('cookies', 'Cookie access via document.cookie', node)
+    } else if (isProperty && (name === 'write' || name === 'writeln')) {
+      add('script_injection', `Markup injection via document.${name}()`, node)
+    }
+  }
 
-        const res = activeStreams.get(conversationId)
-        if (res) {
-          if (event.type === 'assistant' && event.message?.content) {
-            console.log(`[${conversationId}] Processing assistant message with ${event.message.content.length} content blocks`)
-            for (const block of event.message.content) {
-              console.log(`[${conversationId}] Content block type: ${block.type}`)
-              if (block.type === 'text' && block.text) {
-                // Try to parse as JSON schema response
-                try {
-                  const parsedJson = JSON.parse(block.text.trim())
-                  // Check if it matches our schema (has required fields)
-                  if (parsedJson.domChanges && parsedJson.response && parsedJson.action) {
-                    console.log(`[${conversationId}] ✅ Parsed JSON schema response, forwarding as structured data`)
-                    console.log(`[${conversationId}] Structured data:`, truncateForLog(parsedJson))
-                    // Send as tool_use-style event for compatibility
-                    res.write(`data: ${JSON.stringify({ type: 'tool_use', data: parsedJson })}\n\n`)
-                    // Also send the response text for display
-                    if (parsedJson.response) {
-                      res.write(`data: ${JSON.stringify({ type: 'text', data: parsedJson.response })}\n\n`)
-                    }
-                  } else {
-                    // Not our schema format, send as regular text
-                    res.write(`data: ${JSON.stringify({ type: 'text', data: block.text })}\n\n`)
-                  }
-                } catch (e) {
-                  // Not JSON, send as regular text
-                  res.write(`data: ${JSON.stringify({ type: 'text', data: block.text })}\n\n`)
-                }
-              } else if (block.type === 'tool_use' && block.input) {
-                // Handle tool_use blocks (shouldn't happen with --json-schema, but keep for safety)
-                console.log(`[${conversationId}] ✅ Found tool_use block, forwarding to client`)
-                console.log(`[${conversationId}] Tool input:`, truncateForLog(block.input))
-                const toolInput = block.input
-                res.write(`data: ${JSON.stringify({ type: 'tool_use', data: toolInput })}\n\n`)
-                if (toolInput.response) {
-                  res.write(`data: ${JSON.stringify({ type: 'text', data: toolInput.response })}\n\n`)
-                }
-              } else {
-                console.log(`[${conversationId}] ⚠️ Unknown or unhandled content block type:`, block.type)
-              }
-            }
-          } else if (event.type === 'result') {
-            console.log(`[${conversationId}] Received result event - sending done`)
-            // Don't send result as text - we already sent the assistant message content
-            // Just signal that we're done
-            res.write(`data: ${JSON.stringify({ type: 'done' })}\n\n`)
-            res.end()
-            activeStreams.delete(conversationId)
-            outputBuffers.delete(conversationId)
-          } else if (event.type === 'error') {
-            res.write(`data: ${JSON.stringify({ type: 'error', data: event.error || 'Unknown error' })}\n\n`)
-            res.end()
-            activeStreams.delete(conversationId)
-            outputBuffers.delete(conversationId)
-          } else {
-            res.write(`data: ${JSON.stringify(event)}\n\n`)
-          }
-        }
-      } catch (err) {
-        console.error(`[${conversationId}] Failed to parse Claude output:`, err.message, 'Raw:', line.substring(0, 200))
+  const checkString = (value, node) => {
+    if (EXECUTABLE_MARKUP.test(value)) {
+      add('script_injection', 'Markup with a script, inline event handler or javascript: URL', node)
+    }
+  }
 
-        const res = activeStreams.get(conversationId)
-        if (res) {
-          res.write(`data: ${JSON.stringify({
-            type: 'text',
-            data: 'Response generated but encountered parsing error. Check server logs for details.'
-          })}\n\n`)
-          res.write(`data: ${JSON.stringify({ type: 'done' })}\n\n`)
-          res.end()
-          activeStreams.delete(conversationId)
-          outputBuffers.delete(conversationId)
-        }
+  const checkCall = (node, isNew) => {
+    const name = calleeName(node.callee)
+    const [first, second] = node.arguments
+    if (isNew && BEACON_CONSTRUCTORS.has(name)) {
+      add('network', `Network request via new ${name}()`, node)
+    } else if ((name === 'setTimeout' || name === 'setInterval') && isStringArgument(first)) {
+      add('eval', `Dynamic code execution via ${name}() with a string`, node)
+    } else if (name === 'setAttribute') {
+      const attribute = staticString(first)
+      if (attribute === null) {
+        add('dynamic_access', 'setAttribute() with an attribute name computed at runtime', node)
+      } else if (/^on/i.test(attribute)) {
+        add('script_injection', `Inline event handler via setAttribute("${attribute}")`, node)
+      } else if (URL_PROPERTIES.has(attribute) && second && staticString(second) === null) {
+        add('dynamic_url', `${attribute} attribute set to a value computed at runtime`, node)
       }
+    } else if (name === 'createElement' && first && staticString(first) === null) {
+      add('dynamic_access', 'createElement() with a tag name computed at runtime', node)
     }
-  })
 
-  claudeProcess.stderr.on('data', (data) => {
-    console.error(`[${conversationId}] Claude CLI stderr:`, data.toString())
-  })
+    // Any call with "script" (createElement, an alias of it, document.createElement.call) creates a script tag
+    if (!TAG_QUERY_METHODS.has(name) && node.arguments.some(argument => (staticString(argument) || '').trim().toLowerCase() === 'script')) {
+      add('script_injection', 'Script injection via createElement("script")', node)
+    }
+  }
 
-  claudeProcess.on('exit', (code) => {
-    console.log(`[${conversationId}] Claude CLI exited with code ${code}`)
-    claudeProcesses.delete(conversationId)
-    outputBuffers.delete(conversationId)
-    const res = activeStreams.get(conversationId)
-    if (res) {
-      res.end()
-      activeStreams.delete(conversationId)
+  acornWalk.simple(ast, {
+    CallExpression: node => checkCall(node, false),
+    NewExpression: node => checkCall(node, true),
+    ImportExpression: node => add('script_injection', 'Script loading via dynamic import()', node),
+    Identifier: node => checkName(node.name, node, false),
+    MemberExpression: node => {
+      const name = propertyName(node)
+      if (name !== null) {
+        checkName(name, node, true)
+      } else if (!(node.property.type === 'Literal' && typeof node.property.value === 'number')) {
+        add('dynamic_access', 'Property access with a key computed at runtime', node)
+      }
+    },
+    // const { fetch: f } = window
+    ObjectPattern: node => {
+      for (const property of node.properties) {
+        if (property.type !== 'Property') continue
+        const name = property.computed ? staticString(property.key) : property.key.name ?? property.key.value
+        if (typeof name === 'string') {
+          checkName(name, property, true)
+        } else {
+          add('dynamic_access', 'Destructuring with a key computed at runtime', property)
+        }
+      }
+    },
+    Literal: node => {
+      if (typeof node.value === 'string') checkString(node.value, node)
+    },
+    TemplateElement: node => checkString(node.value.cooked || '', node),
+    BinaryExpression: node => {
+      const value = staticString(node)
+      if (value !== null) checkString(value, node)
+    },
+    AssignmentExpression: node => {
+      const name = node.left.type === 'Identifier' ? node.left.name : propertyName(node.left)
+      if (URL_PROPERTIES.has(name) && staticString(node.right) === null) {
+        add('dynamic_url', `${name} set to a value computed at runtime`, node)
+      }
     }
   })
 
-  claudeProcesses.set(conversationId, claudeProcess)
-  return claudeProcess
+  return findings
 }
 
-app.get('/health', (req, res) => {
-  const authStatus = checkClaudeAuth()
-  res.json({
-    ok: true,
-    authenticated: authStatus.authenticated,
-    claudeProcesses: claudeProcesses.size,
-    ...authStatus
-  })
-})
+// Check every javascript change against the policy. Returns null when there are none.
+function checkJavascriptSafety(domChanges, policy = JS_POLICY) {
+  const changes = []
+  const violations = []
 
-app.get('/auth/status', (req, res) => {
-  const authStatus = checkClaudeAuth()
-  res.json(authStatus)
-})
+  domChanges.forEach((change, index) => {
+    if (!change || change.type !== 'javascript' || typeof change.value !== 'string') return
 
-app.post('/conversations', (req, res) => {
-  const { session_id, jsonSchema, html, model } = req.body
-  const conversationId = session_id || `conv_${Date.now()}`
+    const findings = inspectJavascript(change.value)
+      .map(finding => ({ ...finding, action: policy[finding.rule] || 'warn' }))
+      .filter(finding => finding.action !== 'allow')
+    const blocked = findings.some(finding => finding.action === 'block')
 
-  conversationMessages.set(conversationId, [])
+    changes.push({ index, selector: change.selector, blocked, findings })
+    for (const finding of findings.filter(finding => finding.action === 'block')) {
+      violations.push(`$.domChanges[${index}] (javascript): blocked by safety policy: ${finding.message}${finding.line ? ` (line ${finding.line})` : ''}`)
+    }
+  })
 
-  // Store HTML for chunk retrieval if provided
-  if (html) {
-    conversationHtml.set(conversationId, {
-      html,
-      timestamp: Date.now()
-    })
-    console.log(`📄 Stored HTML for conversation ${conversationId} (${html.length} chars)`)
+  if (changes.length === 0) return null
+  return {
+    changes,
+    blocked: changes.filter(change => change.blocked).length,
+    flagged: changes.filter(change => change.findings.length > 0).length,
+    violations
   }
+}
 
-  // Store model selection if provided (defaults to sonnet)
-  const selectedModel = model || 'sonnet'
-  conversationModels.set(conversationId, selectedModel)
-  console.log(`🤖 Model for conversation ${conversationId}: ${selectedModel}`)
+function jsonType(value) {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer'
+  return typeof value
+}
 
-  // Accept JSON schema from extension if provided (always update to stay in sync)
-  if (jsonSchema) {
-    console.log('📋 Updating JSON schema from extension')
-    globalJsonSchema = jsonSchema
-  }
+// Minimal JSON schema validation covering the keywords our schemas use
+// (type, enum, required, properties, additionalProperties, items, minItems)
+function validateAgainstSchema(value, schema, pathPrefix = '$') {
+  const violations = []
+  if (!schema || typeof schema !== 'object') return violations
 
-  if (session_id) {
-    const isResume = sessionTracking.has(session_id)
-    sessionTracking.set(session_id, { conversationId, isResume })
-    console.log(`Conversation ${conversationId} ${isResume ? 'resuming' : 'starting'} session ${session_id}`)
+  if (schema.type) {
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type]
+    const actual = jsonType(value)
+    const matches = allowed.some(type => type === actual || (type === 'number' && actual === 'integer'))
+    if (!matches) {
+      violations.push(`${pathPrefix}: expected ${allowed.join(' or ')}, got ${actual}`)
+      return violations
+    }
   }
 
-  res.json({
-    success: true,
-    conversationId
-  })
-})
-
-app.post('/conversations/:id/messages', (req, res) => {
-  const { id } = req.params
-  const { content, files, systemPrompt, jsonSchema } = req.body
-
-  // Accept JSON schema if provided (for bridge restarts / schema updates)
-  if (jsonSchema) {
-    console.log('📋 Updating JSON schema from extension (via /messages)')
-    globalJsonSchema = jsonSchema
+  if (schema.enum && !schema.enum.includes(value)) {
+    violations.push(`${pathPrefix}: must be one of ${schema.enum.join(', ')} (got ${JSON.stringify(value)})`)
   }
 
-  if (!claudeProcesses.has(id)) {
-    let sessionId = null
-    let isResume = false
-
-    for (const [sid, info] of sessionTracking.entries()) {
-      if (info.conversationId === id) {
-        sessionId = sid
-        isResume = info.isResume
-        break
+  if (jsonType(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        violations.push(`${pathPrefix}.${key}: is required`)
       }
     }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        violations.push(...validateAgainstSchema(value[key], propertySchema, `${pathPrefix}.${key}`))
+      }
+    }
+    if (schema.additionalProperties === false) {
+      for (const key of Object.keys(value)) {
+        if (!schema.properties || !(key in schema.properties)) {
+          violations.push(`${pathPrefix}.${key}: is not allowed`)
+        }
+      }
+    }
+  }
 
-    spawnClaudeForConversation(id, systemPrompt, sessionId, isResume)
-    setTimeout(() => {
-      sendUserMessage(id, content, files)
-    }, 1000)
-  } else {
-    sendUserMessage(id, content, files)
+  if (jsonType(value) === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      violations.push(`${pathPrefix}: must have at least ${schema.minItems} item(s)`)
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        violations.push(...validateAgainstSchema(item, schema.items, `${pathPrefix}[${index}]`))
+      })
+    }
   }
 
-  res.json({
-    success: true
-  })
-})
+  return violations
+}
 
-function sendUserMessage(conversationId, content, files) {
-  const claudeProcess = claudeProcesses.get(conversationId)
+function isPlainObject(value) {
+  return jsonType(value) === 'object'
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0
+}
+
+// Per-type requirements from the DOM_CHANGES_SCHEMA descriptions, which JSON schema alone can't express
+function validateDomChange(change, pathPrefix) {
+  const violations = []
+  if (!isPlainObject(change)) return violations
+
+  const { type } = change
+  const where = `${pathPrefix} (${type})`
+
+  switch (type) {
+    case 'text':
+    case 'html':
+    case 'javascript':
+      if (typeof change.value !== 'string') {
+        violations.push(`${where}: value must be a string`)
+      }
+      break
+    case 'style': {
+      const css = change.css !== undefined ? change.css : change.value
+      if (!isPlainObject(css) || Object.keys(css).length === 0) {
+        violations.push(`${where}: css (or value) must be a non-empty object of CSS properties`)
+      }
+      break
+    }
+    case 'styleRules':
+      if (!isPlainObject(change.states) || !['normal', 'hover', 'active', 'focus'].some(state => isPlainObject(change.states[state]))) {
+        violations.push(`${where}: states must contain at least one of normal, hover, active, focus`)
+      }
+      break
+    case 'class': {
+      const add = Array.isArray(change.add) ? change.add : []
+      const remove = Array.isArray(change.remove) ? change.remove : []
+      if (add.length === 0 && remove.length === 0) {
+        violations.push(`${where}: add or remove must list at least one class`)
+      }
+      break
+    }
+    case 'attribute':
+      if (!isPlainObject(change.value) || Object.keys(change.value).length === 0) {
+        violations.push(`${where}: value must be an object mapping attribute names to values`)
+      }
+      break
+    case 'move':
+      if (!isNonEmptyString(change.targetSelector)) {
+        violations.push(`${where}: targetSelector is required`)
+      }
+      break
+    case 'create':
+      if (!isNonEmptyString(change.element)) {
+        violations.push(`${where}: element (HTML to create) is required`)
+      }
+      if (!isNonEmptyString(change.targetSelector)) {
+        violations.push(`${where}: targetSelector is required`)
+      }
+      break
+  }
+
+  if (change.selector !== undefined && !isNonEmptyString(change.selector)) {
+    violations.push(`${pathPrefix}.selector: must be a non-empty CSS selector`)
+  }
+
+  return violations
+}
+
+function validateStructuredResponse(data, schema) {
+  const violations = validateAgainstSchema(data, schema)
+
+  if (isPlainObject(data) && Array.isArray(data.domChanges)) {
+    data.domChanges.forEach((change, index) => {
+      violations.push(...validateDomChange(change, `$.domChanges[${index}]`))
+    })
+
+    if (['replace_specific', 'remove_specific'].includes(data.action) &&
+      (!Array.isArray(data.targetSelectors) || data.targetSelectors.length === 0)) {
+      violations.push(`$.targetSelectors: required when action is ${data.action}`)
+    }
+  }
+
+  return violations
+}
+
+function getRegisteredSchema(name, version = null) {
+  const versions = schemaRegistry.get(name)
+  if (!versions || versions.size === 0) return null
+
+  const resolvedVersion = version === null || version === undefined ? Math.max(...versions.keys()) : Number(version)
+  const entry = versions.get(resolvedVersion)
+  return entry ? { name, version: resolvedVersion, ...entry } : null
+}
+
+function registerSchema(name, schema, version = null) {
+  const versions = schemaRegistry.get(name) || new Map()
+  const nextVersion = version === null || version === undefined
+    ? (versions.size > 0 ? Math.max(...versions.keys()) + 1 : 1)
+    : Number(version)
+
+  versions.set(nextVersion, { schema, createdAt: Date.now() })
+  schemaRegistry.set(name, versions)
+  saveSchemaRegistry()
+  return nextVersion
+}
+
+function saveSchemaRegistry() {
+  const data = {}
+  for (const [name, versions] of schemaRegistry.entries()) {
+    data[name] = Object.fromEntries(versions.entries())
+  }
+
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true })
+    fs.writeFileSync(`${SCHEMAS_FILE}.tmp`, JSON.stringify(data))
+    fs.renameSync(`${SCHEMAS_FILE}.tmp`, SCHEMAS_FILE)
+  } catch (error) {
+    console.error('Failed to persist schema registry:', error.message)
+  }
+}
+
+function loadSchemaRegistry() {
+  if (!fs.existsSync(SCHEMAS_FILE)) return
+
+  try {
+    const data = JSON.parse(fs.readFileSync(SCHEMAS_FILE, 'utf8'))
+    for (const [name, versions] of Object.entries(data)) {
+      schemaRegistry.set(name, new Map(Object.entries(versions).map(([version, entry]) => [Number(version), entry])))
+    }
+  } catch (error) {
+    console.error('Failed to load schema registry:', error.message)
+  }
+}
+
+// Store the schema a conversation uses: an inline jsonSchema, or a registry reference by name
+// (and optional version, otherwise the latest version when the CLI starts). Returns an error message or null.
+function setConversationSchema(conversationId, { jsonSchema, schemaName, schemaVersion }) {
+  if (schemaName) {
+    if (!getRegisteredSchema(schemaName, schemaVersion)) {
+      return `Unknown schema ${schemaName}${schemaVersion ? ` version ${schemaVersion}` : ''}`
+    }
+    conversationSchemas.set(conversationId, {
+      name: schemaName,
+      version: schemaVersion === undefined || schemaVersion === null ? null : Number(schemaVersion)
+    })
+    console.log(`📋 Conversation ${conversationId} uses schema ${schemaName}${schemaVersion ? ` v${schemaVersion}` : ' (latest)'}`)
+  } else if (jsonSchema) {
+    conversationSchemas.set(conversationId, { jsonSchema })
+    console.log(`📋 Conversation ${conversationId} uses a JSON schema from the extension`)
+  }
+  return null
+}
+
+function resolveConversationSchema(conversationId) {
+  const stored = conversationSchemas.get(conversationId)
+
+  if (stored && stored.jsonSchema) {
+    return { schema: stored.jsonSchema, source: 'extension' }
+  }
+
+  if (stored && stored.name) {
+    const registered = getRegisteredSchema(stored.name, stored.version)
+    if (registered) {
+      return { schema: registered.schema, source: `registry ${registered.name} v${registered.version}` }
+    }
+    console.warn(`[${conversationId}] ⚠️ Schema ${stored.name} is no longer registered, using fallback`)
+  }
+
+  return { schema: DOM_CHANGES_SCHEMA, source: 'fallback' }
+}
+
+function conversationFilePath(conversationId) {
+  return path.join(CONVERSATIONS_DIR, `${encodeURIComponent(conversationId)}.json`)
+}
+
+// Snapshot HTML never changes once stored, so each snapshot is written once to its own file
+// instead of being rewritten with every change to the conversation record
+function snapshotsDirPath(conversationId) {
+  return path.join(CONVERSATIONS_DIR, `${encodeURIComponent(conversationId)}.snapshots`)
+}
+
+function serializeConversation(conversationId) {
+  const sessions = []
+  for (const [sessionId, info] of sessionTracking.entries()) {
+    if (info.conversationId === conversationId) {
+      sessions.push({ sessionId, isResume: info.isResume })
+    }
+  }
+
+  const history = conversationHtml.get(conversationId)
+  const snapshots = []
+  const html = history ? {
+    nextSnapshot: history.nextSnapshot,
+    pages: history.pages.map(entry => ({
+      ...entry,
+      snapshots: entry.snapshots.map(({ html, stylesheets, ...meta }) => {
+        snapshots.push({ snapshot: meta.snapshot, html, stylesheets })
+        return meta
+      })
+    }))
+  } : null
+
+  return {
+    record: {
+      conversationId,
+      sessions,
+      model: conversationModels.get(conversationId) || null,
+      html,
+      schema: conversationSchemas.get(conversationId) || null,
+      changes: conversationChanges.get(conversationId) || [],
+      messages: conversationMessages.get(conversationId) || [],
+      usage: conversationUsage.has(conversationId) ? { ...conversationUsage.get(conversationId), current: null } : null,
+      budget: conversationBudgets.get(conversationId) || null,
+      updatedAt: Date.now()
+    },
+    snapshots
+  }
+}
+
+let tmpFileCounter = 0
+
+// Write then rename so a crash mid-write never leaves a truncated file behind
+async function writeFileAtomic(filePath, data) {
+  const tmpPath = `${filePath}.${process.pid}.${tmpFileCounter++}.tmp`
+  await fs.promises.writeFile(tmpPath, data)
+  await fs.promises.rename(tmpPath, filePath)
+}
+
+async function writeConversationFiles(conversationId, { record, snapshots }) {
+  const snapshotsDir = snapshotsDirPath(conversationId)
+  await fs.promises.mkdir(snapshotsDir, { recursive: true })
+
+  const existing = new Set(await fs.promises.readdir(snapshotsDir))
+  const kept = new Set()
+  for (const { snapshot, html, stylesheets } of snapshots) {
+    const file = `${snapshot}.json`
+    kept.add(file)
+    if (!existing.has(file)) {
+      await writeFileAtomic(path.join(snapshotsDir, file), JSON.stringify({ html, stylesheets }))
+    }
+  }
+  // Snapshots dropped past MAX_HTML_SNAPSHOTS
+  for (const file of existing) {
+    if (!kept.has(file)) {
+      await fs.promises.rm(path.join(snapshotsDir, file), { force: true })
+    }
+  }
+
+  await writeFileAtomic(conversationFilePath(conversationId), JSON.stringify(record))
+}
+
+// Writes of one conversation run one after another, so an older state never lands after a newer one
+function queueConversationWrite(conversationId, task) {
+  const previous = persistWrites.get(conversationId) || Promise.resolve()
+  const next = previous
+    .then(task)
+    .catch(error => console.error(`[${conversationId}] Failed to persist conversation:`, error.message))
+    .finally(() => {
+      if (persistWrites.get(conversationId) === next) persistWrites.delete(conversationId)
+    })
+  persistWrites.set(conversationId, next)
+  return next
+}
+
+function writeConversationFile(conversationId) {
+  persistTimers.delete(conversationId)
+  // The state is captured when the write runs, so it includes every update made while waiting
+  return queueConversationWrite(conversationId, () => {
+    if (!conversationExists(conversationId)) return
+    return writeConversationFiles(conversationId, serializeConversation(conversationId))
+  })
+}
+
+function persistConversation(conversationId) {
+  if (persistTimers.has(conversationId)) return
+  persistTimers.set(conversationId, setTimeout(() => writeConversationFile(conversationId), PERSIST_DEBOUNCE_MS))
+}
+
+// Shutdown can't wait for async writes: pending ones are written synchronously
+function flushPersistence() {
+  for (const [conversationId, timer] of Array.from(persistTimers.entries())) {
+    clearTimeout(timer)
+    persistTimers.delete(conversationId)
+    if (!conversationExists(conversationId)) continue
+
+    try {
+      const { record, snapshots } = serializeConversation(conversationId)
+      const snapshotsDir = snapshotsDirPath(conversationId)
+      fs.mkdirSync(snapshotsDir, { recursive: true })
+      for (const { snapshot, html, stylesheets } of snapshots) {
+        const snapshotPath = path.join(snapshotsDir, `${snapshot}.json`)
+        if (!fs.existsSync(snapshotPath)) {
+          fs.writeFileSync(snapshotPath, JSON.stringify({ html, stylesheets }))
+        }
+      }
+      fs.writeFileSync(conversationFilePath(conversationId), JSON.stringify(record))
+    } catch (error) {
+      console.error(`[${conversationId}] Failed to persist conversation:`, error.message)
+    }
+  }
+}
+
+// Save what hasn't been written yet before the conversation leaves memory (idle reaping)
+function persistBeforeUnload(conversationId) {
+  // A write still waiting its turn serializes when it runs, and by then the conversation is gone
+  if (!persistTimers.has(conversationId) && !persistWrites.has(conversationId)) return
+  clearTimeout(persistTimers.get(conversationId))
+  persistTimers.delete(conversationId)
+  const state = serializeConversation(conversationId)
+  queueConversationWrite(conversationId, () => writeConversationFiles(conversationId, state))
+}
+
+function removePersistedConversation(conversationId) {
+  clearTimeout(persistTimers.get(conversationId))
+  persistTimers.delete(conversationId)
+  // After any write still in flight, which would otherwise recreate the files
+  queueConversationWrite(conversationId, async () => {
+    await fs.promises.rm(conversationFilePath(conversationId), { force: true })
+    await fs.promises.rm(snapshotsDirPath(conversationId), { recursive: true, force: true })
+  })
+}
+
+function restoreConversation(record) {
+  const { conversationId } = record
+
+  for (const { sessionId, isResume } of record.sessions || []) {
+    sessionTracking.set(sessionId, { conversationId, isResume })
+  }
+  if (record.model) {
+    conversationModels.set(conversationId, record.model)
+  }
+  if (record.html && record.html.pages) {
+    const snapshotsDir = snapshotsDirPath(conversationId)
+    for (const entry of record.html.pages) {
+      for (const snapshot of entry.snapshots) {
+        if (snapshot.html === undefined) {
+          Object.assign(snapshot, JSON.parse(fs.readFileSync(path.join(snapshotsDir, `${snapshot.snapshot}.json`), 'utf8')))
+        }
+      }
+    }
+    conversationHtml.set(conversationId, record.html)
+  } else if (record.html) {
+    // Saved before page contexts (or snapshots) were kept: everything belongs to one page
+    const page = pageKey(null, null)
+    const snapshots = record.html.snapshots || [{ snapshot: 1, url: null, label: null, ...record.html }]
+    conversationHtml.set(conversationId, {
+      pages: [{ page, url: null, viewport: null, snapshots: snapshots.map(snapshot => ({ page, viewport: null, ...snapshot })) }],
+      nextSnapshot: record.html.nextSnapshot || 2
+    })
+  }
+  if (record.schema) {
+    conversationSchemas.set(conversationId, record.schema)
+  }
+  if (record.changes && record.changes.length > 0) {
+    conversationChanges.set(conversationId, record.changes)
+  }
+  if (record.usage) {
+    conversationUsage.set(conversationId, { ...record.usage, current: null })
+  }
+  if (record.budget) {
+    conversationBudgets.set(conversationId, record.budget)
+  }
+  conversationMessages.set(conversationId, record.messages || [])
+  touchConversation(conversationId)
+}
+
+// Restore conversations saved by a previous run, so their next message resumes the right Claude session
+function loadPersistedConversations() {
+  if (!fs.existsSync(CONVERSATIONS_DIR)) return 0
+
+  let loaded = 0
+  for (const file of fs.readdirSync(CONVERSATIONS_DIR)) {
+    if (!file.endsWith('.json')) continue
+
+    try {
+      restoreConversation(JSON.parse(fs.readFileSync(path.join(CONVERSATIONS_DIR, file), 'utf8')))
+      loaded++
+    } catch (error) {
+      console.error(`Failed to load persisted conversation ${file}:`, error.message)
+    }
+  }
+  return loaded
+}
+
+// Reaped conversations stay on disk and come back on their next request
+async function restoreReapedConversation(conversationId) {
+  // A conversation reaped a moment ago may still be on its way to disk (or a deleted one on its way out)
+  await persistWrites.get(conversationId)
+  // Another request may have restored it while this one waited
+  if (conversationExists(conversationId)) return true
+
+  const filePath = conversationFilePath(conversationId)
+  if (!fs.existsSync(filePath)) return false
+
+  try {
+    restoreConversation(JSON.parse(fs.readFileSync(filePath, 'utf8')))
+    console.log(`[${conversationId}] 💾 Restored idle conversation from disk`)
+    return true
+  } catch (error) {
+    console.error(`[${conversationId}] Failed to restore conversation:`, error.message)
+    return false
+  }
+}
+
+// Split a command line on whitespace like a shell would, keeping quoted parts ("/Applications/My Tools/claude") together
+function splitCommand(commandLine) {
+  const parts = []
+  let current = null
+  let quote = null
+
+  for (let i = 0; i < commandLine.length; i++) {
+    const char = commandLine[i]
+    if (quote) {
+      if (char === quote) {
+        quote = null
+      } else if (char === '\\' && quote === '"' && i + 1 < commandLine.length) {
+        current += commandLine[++i]
+      } else {
+        current += char
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char
+      current = current || ''
+    } else if (/\s/.test(char)) {
+      if (current !== null) parts.push(current)
+      current = null
+    } else if (char === '\\' && i + 1 < commandLine.length) {
+      current = (current || '') + commandLine[++i]
+    } else {
+      current = (current || '') + char
+    }
+  }
+
+  if (quote) {
+    throw new Error(`Unterminated ${quote} quote in CLI command: ${commandLine}`)
+  }
+  if (current !== null) parts.push(current)
+  return parts
+}
+
+function resolveCliBackend() {
+  if (config.cliCommand) {
+    const [command, ...args] = splitCommand(config.cliCommand)
+    if (!command) {
+      throw new Error('CLI command is empty')
+    }
+    return { name: 'custom', command, args }
+  }
+
+  const name = config.cliBackend
+  const backend = CLI_BACKENDS[name]
+  if (!backend) {
+    throw new Error(`Unknown CLI backend "${name}" (available: ${Object.keys(CLI_BACKENDS).join(', ')})`)
+  }
+  return { name, ...backend }
+}
+
+// MCP server (bin/mcp-server.js) with the page-inspection tools, scoped to one conversation
+function buildMcpConfig(conversationId) {
+  return {
+    mcpServers: {
+      [MCP_SERVER_NAME]: {
+        type: 'stdio',
+        command: process.execPath,
+        args: [
+          path.join(__dirname, 'bin', 'mcp-server.js'),
+          '--conversation-id', conversationId,
+          '--bridge-url', `http://${urlHost(BRIDGE_HOST)}:${listeningPort}`
+        ],
+        env: { BRIDGE_TOKEN }
+      }
+    }
+  }
+}
+
+// The config holds the pairing token, so it goes to a private file rather than the CLI's arguments,
+// which other local users can see
+function writeMcpConfig(conversationId) {
+  fs.mkdirSync(MCP_CONFIG_DIR, { recursive: true, mode: 0o700 })
+  const configPath = path.join(MCP_CONFIG_DIR, `${encodeURIComponent(conversationId)}.json`)
+  fs.writeFileSync(configPath, JSON.stringify(buildMcpConfig(conversationId)), { mode: 0o600 })
+  return configPath
+}
+
+function removeMcpConfig(conversationId) {
+  fs.rmSync(path.join(MCP_CONFIG_DIR, `${encodeURIComponent(conversationId)}.json`), { force: true })
+}
+
+function spawnClaudeForConversation(conversationId, systemPrompt, sessionId, isResume = false, model = null) {
+  if (claudeProcesses.has(conversationId)) {
+    console.log(`Claude CLI already running for conversation ${conversationId}`)
+    return claudeProcesses.get(conversationId)
+  }
+
+  // Get model from stored settings or use default (sonnet)
+  const selectedModel = model || conversationModels.get(conversationId) || config.defaultModel
+  console.log(`Spawning Claude CLI process for conversation ${conversationId} with model: ${selectedModel}...`)
+
+  const backend = resolveCliBackend()
+  const args = [
+    ...backend.args,
+    '--print',
+    '--verbose',
+    '--output-format', 'stream-json',
+    '--input-format', 'stream-json',
+    '--replay-user-messages',
+    '--permission-mode', config.permissionMode,
+    '--permission-prompt-tool', 'stdio',  // Ask the bridge (via control_request) before using non-allowed tools
+    '--allowedTools', config.allowedTools.join(','),  // By default only the page-inspection tools of the bridge's MCP server
+    '--mcp-config', writeMcpConfig(conversationId),
+    '--strict-mcp-config',
+    '--model', selectedModel,  // Use selected model (sonnet, opus, or haiku)
+    '--settings', JSON.stringify(config.claudeSettings)
+  ]
+
+  if (sessionId) {
+    if (isResume) {
+      console.log(`Resuming session ${sessionId} for conversation ${conversationId}`)
+      args.push('--resume', sessionId)
+    } else {
+      console.log(`Starting new session ${sessionId} for conversation ${conversationId}`)
+      args.push('--session-id', sessionId)
+    }
+
+    // The session now exists in Claude, so any later spawn (after a crash, cancel or reap) must resume it
+    const tracked = sessionTracking.get(sessionId)
+    if (tracked && !tracked.isResume) {
+      tracked.isResume = true
+      persistConversation(conversationId)
+    }
+  }
+
+  if (systemPrompt) {
+    console.log(`Using custom system prompt for conversation ${conversationId}`)
+    args.push('--system-prompt', systemPrompt)
+  }
+
+  // Add JSON schema for structured output (use global if provided by extension, otherwise fallback)
+  const { schema: schemaToUse, source: schemaSource } = resolveConversationSchema(conversationId)
+  console.log(`Adding JSON schema for structured output (source: ${schemaSource})`)
+  args.push('--json-schema', JSON.stringify(schemaToUse))
+
+  console.log(`[${conversationId}] ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`)
+  console.log(`[${conversationId}] 🚀 SPAWNING CLAUDE CLI WITH ARGUMENTS:`)
+  console.log(`[${conversationId}] Backend: ${backend.name}`)
+  console.log(`[${conversationId}] Command: ${maskSecrets(`${backend.command} ${args.join(' ')}`)}`)
+  console.log(`[${conversationId}] Using --json-schema for structured output`)
+  console.log(`[${conversationId}] ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`)
+
+  const claudeProcess = spawn(backend.command, args, {
+    stdio: ['pipe', 'pipe', 'pipe']
+  })
+
+  claudeProcess.stdout.on('data', (data) => {
+    touchConversation(conversationId)
+    let buffer = outputBuffers.get(conversationId) || ''
+    buffer += data.toString()
+
+    const lines = buffer.split('\n')
+    buffer = lines.pop()
+    outputBuffers.set(conversationId, buffer)
+
+    for (const line of lines) {
+      if (!line.trim()) continue
+
+      try {
+        const event = JSON.parse(line)
+        console.log(`[${conversationId}] ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`)
+        console.log(`[${conversationId}] 📦 RAW EVENT FROM CLAUDE CLI:`)
+        const truncatedEvent = truncateToolUseResponses(event)
+        console.log(truncateForLog(truncatedEvent))
+        console.log(`[${conversationId}] ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`)
+
+        // Permission prompts must be tracked even if no stream is connected, so the timeout can deny them
+        if (event.type === 'control_request' && event.request?.subtype === 'can_use_tool') {
+          handlePermissionRequest(conversationId, event)
+          continue
+        }
+
+        if (event.type === 'control_response') {
+          handleControlResponse(conversationId, event)
+          continue
+        }
+
+        if (event.type === 'system' && event.subtype === 'init') {
+          markProcessReady(conversationId)
+        }
+
+        // Events are buffered by sendStreamEvent, so process them even if no client is connected
+        if (event.type === 'assistant' && event.message?.content) {
+          console.log(`[${conversationId}] Processing assistant message with ${event.message.content.length} content blocks`)
+          for (const block of event.message.content) {
+            console.log(`[${conversationId}] Content block type: ${block.type}`)
+            if (block.type === 'text' && block.text) {
+              // Try to parse as JSON schema response
+              let parsedJson = null
+              try {
+                parsedJson = JSON.parse(block.text.trim())
+              } catch (e) {
+                // Not JSON, sent as regular text below
+              }
+
+              if (isStructuredResponse(conversationId, parsedJson)) {
+                handleStructuredResponse(conversationId, parsedJson)
+              } else {
+                sendStreamEvent(conversationId, { type: 'text', data: block.text })
+              }
+            } else if (block.type === 'tool_use' && block.name === 'StructuredOutput' && block.input) {
+              // --json-schema output delivered through the CLI's structured output tool
+              handleStructuredResponse(conversationId, block.input)
+            } else if (block.type === 'tool_use') {
+              // Any other tool is Claude working, not a response: forwarding its input as tool_use would let it
+              // skip validation and the JavaScript policy
+              console.log(`[${conversationId}] 🔧 Claude used ${block.name}:`, truncateForLog(block.input))
+              if (block.name.startsWith(`mcp__${MCP_SERVER_NAME}__`)) {
+                // Progress only ("looking at the outline"); nothing for the extension to apply
+                sendStreamEvent(conversationId, {
+                  type: 'inspection',
+                  data: { tool: block.name.slice(`mcp__${MCP_SERVER_NAME}__`.length), input: block.input || {} }
+                })
+              }
+            } else {
+              console.log(`[${conversationId}] ⚠️ Unknown or unhandled content block type:`, block.type)
+            }
+          }
+        } else if (event.type === 'result') {
+          recordResultUsage(conversationId, event)
+          abandonRepairOverBudget(conversationId)
+          // A failed validation keeps the turn going with a repair message instead of finishing it
+          if (sendPendingRepair(conversationId)) {
+            continue
+          }
+
+          console.log(`[${conversationId}] Received result event - sending done`)
+          // Don't send result as text - we already sent the assistant message content
+          // Just signal that we're done (after releasing the queue, so the queue update precedes done)
+          const usage = finishTurnUsage(conversationId)
+          completeTurn(conversationId)
+          sendStreamEvent(conversationId, {
+            type: 'done',
+            data: { usage, total: getUsage(conversationId).total, budget: budgetStatus(conversationId) }
+          })
+          endStream(conversationId)
+          outputBuffers.delete(conversationId)
+        } else if (event.type === 'error') {
+          completeTurn(conversationId)
+          sendStreamEvent(conversationId, { type: 'error', data: event.error || 'Unknown error' })
+          endStream(conversationId)
+          outputBuffers.delete(conversationId)
+        } else {
+          sendStreamEvent(conversationId, event)
+        }
+      } catch (err) {
+        // One bad line doesn't end the turn; its result event still does (through completeTurn)
+        console.error(`[${conversationId}] Failed to parse Claude output:`, err.message, 'Raw:', line.substring(0, 200))
+        sendStreamEvent(conversationId, {
+          type: 'warning',
+          data: { message: `Skipped unreadable Claude CLI output: ${err.message}` }
+        })
+      }
+    }
+  })
+
+  claudeProcess.stderr.on('data', (data) => {
+    console.error(`[${conversationId}] Claude CLI stderr:`, data.toString())
+  })
+
+  // Writes to a CLI that failed to start or already died; the 'error'/'exit' handlers clean up
+  claudeProcess.stdin.on('error', (error) => {
+    console.error(`[${conversationId}] Failed to write to Claude CLI:`, error.message)
+  })
+
+  const cleanUpProcess = () => {
+    claudeProcesses.delete(conversationId)
+    outputBuffers.delete(conversationId)
+    // Results of a turn cut short by the exit still count
+    finishTurnUsage(conversationId)
+    clearPendingPermissions(conversationId)
+    clearPendingControlRequests(conversationId)
+    stopQueue(conversationId)
+    endStream(conversationId)
+  }
+
+  claudeProcess.on('exit', (code) => {
+    console.log(`[${conversationId}] Claude CLI exited with code ${code}`)
+    // Already cleaned up if the conversation was deleted or reaped
+    if (claudeProcesses.get(conversationId) !== claudeProcess) return
+    cleanUpProcess()
+  })
+
+  // The command couldn't be started at all (missing binary, bad CLI command, no permission)
+  claudeProcess.on('error', (error) => {
+    console.error(`[${conversationId}] ❌ Failed to start Claude CLI "${backend.command}":`, error.message)
+    if (claudeProcesses.get(conversationId) !== claudeProcess) return
+    sendStreamEvent(conversationId, { type: 'error', data: `Failed to start Claude CLI "${backend.command}": ${error.message}` })
+    cleanUpProcess()
+  })
+
+  claudeProcesses.set(conversationId, claudeProcess)
+  // A new process (including a resumed session) starts counting its cost from zero
+  reportedTotals.delete(conversationId)
+  startQueue(conversationId)
+
+  // The CLI answers the initialize handshake once it reads stdin; queued messages wait for it
+  sendControlRequest(conversationId, { subtype: 'initialize' }, () => markProcessReady(conversationId))
+
+  return claudeProcess
+}
+
+function sendControlRequest(conversationId, request, callback) {
+  const claudeProcess = claudeProcesses.get(conversationId)
+  if (!claudeProcess) return null
+
+  const requestId = `bridge_${crypto.randomUUID()}`
+  pendingControlRequests.set(requestId, { conversationId, callback })
+  claudeProcess.stdin.write(JSON.stringify({
+    type: 'control_request',
+    request_id: requestId,
+    request
+  }) + '\n')
+  return requestId
+}
+
+function handleControlResponse(conversationId, event) {
+  const response = event.response || {}
+  const pending = pendingControlRequests.get(response.request_id)
+  if (!pending) {
+    console.log(`[${conversationId}] Ignoring control response for unknown request ${response.request_id}`)
+    return
+  }
+
+  pendingControlRequests.delete(response.request_id)
+  if (response.subtype === 'error') {
+    console.warn(`[${conversationId}] ⚠️ Control request ${response.request_id} failed: ${response.error}`)
+  }
+  if (pending.callback) {
+    pending.callback(response)
+  }
+}
+
+function clearPendingControlRequests(conversationId) {
+  for (const [requestId, pending] of pendingControlRequests.entries()) {
+    if (pending.conversationId === conversationId) {
+      pendingControlRequests.delete(requestId)
+    }
+  }
+}
+
+// Per-process message queue: 'starting' until the CLI is ready, then 'idle' / 'busy'.
+// Only one user message is in flight at a time; the next is sent after the turn's result.
+function startQueue(conversationId) {
+  const queue = {
+    state: 'starting',
+    pending: [],
+    readyTimer: setTimeout(() => {
+      console.warn(`[${conversationId}] ⚠️ Claude CLI did not report ready within ${CLI_READY_TIMEOUT_MS}ms, sending queued messages anyway`)
+      markProcessReady(conversationId)
+    }, CLI_READY_TIMEOUT_MS)
+  }
+  conversationQueues.set(conversationId, queue)
+}
+
+function stopQueue(conversationId) {
+  const queue = conversationQueues.get(conversationId)
+  if (!queue) return
+
+  clearTimeout(queue.readyTimer)
+  clearTimeout(queue.cancelTimer)
+  conversationQueues.delete(conversationId)
+  if (queue.pending.length > 0) {
+    console.warn(`[${conversationId}] ⚠️ Dropping ${queue.pending.length} queued message(s), Claude CLI exited`)
+  }
+  sendStreamEvent(conversationId, {
+    type: 'queue',
+    data: { state: 'stopped', depth: 0, dropped: queue.pending.length }
+  })
+}
+
+function getQueueStatus(conversationId) {
+  const queue = conversationQueues.get(conversationId)
+  if (!queue) {
+    return { state: 'stopped', depth: 0 }
+  }
+  return { state: queue.state, depth: queue.pending.length }
+}
+
+function emitQueueStatus(conversationId) {
+  sendStreamEvent(conversationId, { type: 'queue', data: getQueueStatus(conversationId) })
+}
+
+function markProcessReady(conversationId) {
+  const queue = conversationQueues.get(conversationId)
+  if (!queue || queue.state !== 'starting') return
+
+  clearTimeout(queue.readyTimer)
+  queue.state = 'idle'
+  console.log(`[${conversationId}] ✅ Claude CLI ready`)
+  drainQueue(conversationId)
+}
+
+function enqueueMessage(conversationId, message) {
+  const queue = conversationQueues.get(conversationId)
+  if (!queue) return null
+
+  queue.pending.push(message)
+  console.log(`[${conversationId}] 📥 Queued message (${queue.pending.length} pending, state: ${queue.state})`)
+  drainQueue(conversationId)
+
+  // 0 when the message was sent right away, otherwise its 1-based place in line
+  return queue.pending.indexOf(message) + 1
+}
+
+function drainQueue(conversationId) {
+  const queue = conversationQueues.get(conversationId)
+  if (!queue) return
+
+  const budget = queue.state === 'idle' && queue.pending.length > 0 ? budgetStatus(conversationId) : null
+  if (budget && budget.exceeded.length > 0) {
+    // Accepted while the budget still had room; the turns before them used it up
+    const dropped = queue.pending.splice(0).length
+    console.log(`[${conversationId}] 💸 Dropping ${dropped} queued message(s), budget exceeded (${budget.exceeded.join(', ')})`)
+    sendStreamEvent(conversationId, { type: 'cancelled', data: { interrupted: false, dropped, reason: 'budget', budget } })
+  }
+
+  if (queue.state === 'idle' && queue.pending.length > 0) {
+    const { content, files } = queue.pending.shift()
+    queue.state = 'busy'
+    repairStates.delete(conversationId)
+    sendUserMessage(conversationId, content, files)
+  }
+  emitQueueStatus(conversationId)
+}
+
+function completeTurn(conversationId) {
+  const queue = conversationQueues.get(conversationId)
+  if (!queue || queue.state !== 'busy') return
+
+  clearTimeout(queue.cancelTimer)
+  queue.state = 'idle'
+  drainQueue(conversationId)
+}
+
+// Assistant text that happens to be a JSON object is only a structured response if it uses the schema's
+// top-level fields; anything else is plain text and is neither validated nor repaired
+function isStructuredResponse(conversationId, data) {
+  if (!isPlainObject(data)) return false
+  const { schema } = resolveConversationSchema(conversationId)
+  const fields = Object.keys((schema && schema.properties) || {})
+  return fields.some(field => field in data)
+}
+
+// Validate a structured response against the conversation's schema before forwarding it.
+// Invalid responses are sent back to Claude with the violations, up to MAX_REPAIR_ATTEMPTS times.
+function handleStructuredResponse(conversationId, data) {
+  const { schema } = resolveConversationSchema(conversationId)
+  const violations = validateStructuredResponse(data, schema)
+
+  // Blocked javascript changes are repaired like any other violation
+  const safety = isPlainObject(data) && Array.isArray(data.domChanges) ? checkJavascriptSafety(data.domChanges) : null
+  if (safety) {
+    violations.push(...safety.violations)
+  }
+
+  if (violations.length === 0) {
+    forwardStructuredResponse(conversationId, data, safety)
+    return
+  }
+
+  const state = repairStates.get(conversationId) || { attempts: 0, pending: null }
+  repairStates.set(conversationId, state)
+  console.warn(`[${conversationId}] ⚠️ Structured response failed validation:`, violations)
+  const selectorReport = selectorReportFor(conversationId, data)
+
+  if (state.attempts < MAX_REPAIR_ATTEMPTS) {
+    state.attempts++
+    state.pending = violations
+    state.response = data
+    sendStreamEvent(conversationId, {
+      type: 'validation_retry',
+      data: { attempt: state.attempts, maxAttempts: MAX_REPAIR_ATTEMPTS, violations },
+      ...(safety && { safety }),
+      ...(selectorReport && { selectorReport })
+    })
+    return
+  }
+
+  state.pending = null
+  sendStreamEvent(conversationId, {
+    type: 'validation_error',
+    data: { attempts: state.attempts, violations, response: data },
+    ...(safety && { safety }),
+    ...(selectorReport && { selectorReport })
+  })
+}
+
+// Selector report for the changes of a structured response, checked against the current page
+function selectorReportFor(conversationId, data) {
+  const stored = getStoredHtml(conversationId)
+  if (!stored || !isPlainObject(data) || !Array.isArray(data.domChanges)) return null
+
+  try {
+    return checkChangeSelectors(new JSDOM(stored.html).window.document, data.domChanges)
+  } catch (error) {
+    console.error(`[${conversationId}] Failed to check selectors:`, error.message)
+    return null
+  }
+}
+
+function forwardStructuredResponse(conversationId, data, safety = null) {
+  console.log(`[${conversationId}] ✅ Parsed JSON schema response, forwarding as structured data`)
+  console.log(`[${conversationId}] Structured data:`, truncateForLog(data))
+
+  const event = { type: 'tool_use', data }
+  if (safety) {
+    event.safety = safety
+  }
+  const stored = getStoredHtml(conversationId)
+  const selectorReport = selectorReportFor(conversationId, data)
+  if (selectorReport) {
+    event.selectorReport = selectorReport
+  }
+
+  if (Array.isArray(data.domChanges) && data.action) {
+    const revision = recordChangeRevision(conversationId, {
+      source: 'claude',
+      action: data.action,
+      domChanges: data.domChanges,
+      targetSelectors: data.targetSelectors
+    })
+    event.variant = { revision: revision.revision, changes: revision.changes }
+
+    if (stored) {
+      try {
+        event.conflicts = analyzeConflicts(stored.html, revision.changes)
+      } catch (error) {
+        console.error(`[${conversationId}] Failed to analyze conflicts:`, error.message)
+      }
+    }
+  }
+
+  // Send as tool_use-style event for compatibility
+  sendStreamEvent(conversationId, event)
+  // Also send the response text for display
+  if (data.response) {
+    sendStreamEvent(conversationId, { type: 'text', data: data.response })
+  }
+}
+
+// Merge a response's domChanges into the current list according to its action
+function applyChangeAction(current, { action, domChanges = [], targetSelectors = [] }) {
+  const targets = new Set(targetSelectors || [])
+
+  switch (action) {
+    case 'replace_all':
+      return [...domChanges]
+    case 'replace_specific':
+      return [...current.filter(change => !targets.has(change.selector)), ...domChanges]
+    case 'remove_specific':
+      return current.filter(change => !targets.has(change.selector))
+    case 'none':
+      return [...current]
+    case 'append':
+    default:
+      return [...current, ...domChanges]
+  }
+}
+
+function getCurrentChanges(conversationId) {
+  const revisions = conversationChanges.get(conversationId) || []
+  return revisions.length > 0 ? revisions[revisions.length - 1].changes : []
+}
+
+function recordChangeRevision(conversationId, { source, action, domChanges = [], targetSelectors = [], changes = null, revertedTo }) {
+  const revisions = conversationChanges.get(conversationId) || []
+  const revision = {
+    revision: revisions.length + 1,
+    source,
+    action,
+    domChanges,
+    targetSelectors,
+    changes: changes || applyChangeAction(getCurrentChanges(conversationId), { action, domChanges, targetSelectors }),
+    timestamp: Date.now()
+  }
+  if (revertedTo !== undefined) {
+    revision.revertedTo = revertedTo
+  }
+
+  revisions.push(revision)
+  conversationChanges.set(conversationId, revisions)
+  persistConversation(conversationId)
+  console.log(`[${conversationId}] 🧩 Variant revision ${revision.revision} (${action}): ${revision.changes.length} change(s)`)
+  return revision
+}
+
+// Tell Claude which revision the user went back to, once, so its next action builds on the restored list
+function undoNotice(conversationId) {
+  const revisions = (conversationChanges.get(conversationId) || []).filter(revision => revision.announced === false)
+  if (revisions.length === 0) return null
+
+  revisions.forEach(revision => { revision.announced = true })
+  persistConversation(conversationId)
+  const { revertedTo } = revisions[revisions.length - 1]
+  return [
+    `[Bridge note: the user undid your changes back to revision ${revertedTo}. The current DOM change list is now:`,
+    JSON.stringify(getCurrentChanges(conversationId)),
+    'Base any append, replace or remove action on this list.]'
+  ].join('\n')
+}
+
+function sendPendingRepair(conversationId) {
+  const state = repairStates.get(conversationId)
+  if (!state || !state.pending) return false
+
+  const violations = state.pending
+  state.pending = null
+  console.log(`[${conversationId}] 🔧 Asking Claude to repair its response (attempt ${state.attempts}/${MAX_REPAIR_ATTEMPTS})`)
+  // Bridge-generated, so it is not recorded as something the user said
+  sendUserMessage(conversationId, [
+    'Your previous response did not pass validation:',
+    ...violations.map(violation => `- ${violation}`),
+    '',
+    'Reply again with the complete, corrected JSON response.'
+  ].join('\n'), null, { record: false })
+  return true
+}
+
+// Repair rounds are paid for like any other turn, so once the budget is spent the invalid response stands
+function abandonRepairOverBudget(conversationId) {
+  const state = repairStates.get(conversationId)
+  if (!state || !state.pending) return
+
+  const budget = budgetStatus(conversationId)
+  if (!budget || budget.exceeded.length === 0) return
+
+  console.log(`[${conversationId}] 💸 Not asking for a repair, budget exceeded (${budget.exceeded.join(', ')})`)
+  state.attempts--
+  sendStreamEvent(conversationId, {
+    type: 'validation_error',
+    data: { attempts: state.attempts, violations: state.pending, response: state.response, budget }
+  })
+  state.pending = null
+}
+
+// Interrupt the in-flight turn. If the CLI doesn't wrap the turn up within CANCEL_GRACE_MS it is
+// killed; the next message respawns it and resumes the session.
+function cancelTurn(conversationId, clearQueue = false) {
+  const queue = conversationQueues.get(conversationId)
+  const dropped = clearQueue && queue ? queue.pending.splice(0).length : 0
+  const interrupted = Boolean(queue && queue.state === 'busy')
+
+  if (interrupted) {
+    console.log(`[${conversationId}] ⏹️ Cancelling current turn`)
+    repairStates.delete(conversationId)
+    // Pending permission prompts belong to the cancelled turn
+    for (const requestId of Array.from((pendingPermissions.get(conversationId) || new Map()).keys())) {
+      resolvePermission(conversationId, requestId, { behavior: 'deny', message: 'Turn cancelled by user' })
+    }
+    sendControlRequest(conversationId, { subtype: 'interrupt' })
+
+    clearTimeout(queue.cancelTimer)
+    queue.cancelTimer = setTimeout(() => {
+      const claudeProcess = claudeProcesses.get(conversationId)
+      if (claudeProcess && queue.state === 'busy') {
+        // Killing the CLI drops whatever is still queued; say so before the stream ends. Its own event type,
+        // since the cancel was already reported
+        console.warn(`[${conversationId}] ⚠️ Claude CLI ignored interrupt, killing process (${queue.pending.length} queued message(s) dropped)`)
+        sendStreamEvent(conversationId, { type: 'killed', data: { dropped: queue.pending.length } })
+        claudeProcess.kill()
+      }
+    }, CANCEL_GRACE_MS)
+  }
+
+  // Nothing was running or queued, so there is nothing to report on the stream
+  if (interrupted || dropped > 0) {
+    sendStreamEvent(conversationId, { type: 'cancelled', data: { interrupted, dropped } })
+  }
+  if (dropped > 0) {
+    emitQueueStatus(conversationId)
+  }
+  return { interrupted, dropped }
+}
+
+const USAGE_FIELDS = ['inputTokens', 'outputTokens', 'cacheCreationInputTokens', 'cacheReadInputTokens', 'costUsd', 'durationMs', 'durationApiMs']
+const BUDGET_LIMITS = {
+  maxCostUsd: usage => usage.costUsd,
+  maxTokens: usage => usage.inputTokens + usage.outputTokens,
+  maxTurns: usage => usage.turns
+}
+
+function emptyUsage() {
+  const usage = {}
+  for (const field of USAGE_FIELDS) {
+    usage[field] = 0
+  }
+  return usage
+}
+
+function addUsage(target, usage) {
+  for (const field of USAGE_FIELDS) {
+    target[field] += usage[field] || 0
+  }
+  // Keep float noise out of summed dollar amounts
+  target.costUsd = Number(target.costUsd.toFixed(6))
+  return target
+}
+
+function emptyConversationUsage() {
+  return { total: { ...emptyUsage(), turns: 0 }, turns: [], current: null }
+}
+
+function getUsage(conversationId) {
+  let usage = conversationUsage.get(conversationId)
+  if (!usage) {
+    usage = emptyConversationUsage()
+    conversationUsage.set(conversationId, usage)
+  }
+  return usage
+}
+
+// Every result event counts, including those of repair rounds and cancelled turns; they add up to one turn
+function recordResultUsage(conversationId, event) {
+  const usage = getUsage(conversationId)
+  if (!usage.current) {
+    usage.current = { ...emptyUsage(), results: 0, numTurns: 0, startedAt: Date.now() }
+  }
+
+  // total_cost_usd and num_turns are running totals for the CLI process, so only the increase is this result's
+  const previous = reportedTotals.get(conversationId) || { costUsd: 0, numTurns: 0 }
+  const totals = {
+    costUsd: typeof event.total_cost_usd === 'number' ? event.total_cost_usd : previous.costUsd,
+    numTurns: typeof event.num_turns === 'number' ? event.num_turns : previous.numTurns
+  }
+  reportedTotals.set(conversationId, totals)
+
+  const reported = event.usage || {}
+  addUsage(usage.current, {
+    inputTokens: reported.input_tokens,
+    outputTokens: reported.output_tokens,
+    cacheCreationInputTokens: reported.cache_creation_input_tokens,
+    cacheReadInputTokens: reported.cache_read_input_tokens,
+    costUsd: Math.max(0, totals.costUsd - previous.costUsd),
+    durationMs: event.duration_ms,
+    durationApiMs: event.duration_api_ms
+  })
+  usage.current.results++
+  usage.current.numTurns += Math.max(0, totals.numTurns - previous.numTurns)
+  usage.current.subtype = event.subtype || null
+}
+
+// Close the turn's accounting and add it to the conversation total; returns the turn's usage, if any
+function finishTurnUsage(conversationId) {
+  const usage = conversationUsage.get(conversationId)
+  if (!usage || !usage.current) return null
+
+  const turn = { turn: usage.total.turns + 1, ...usage.current, completedAt: Date.now() }
+  usage.current = null
+  addUsage(usage.total, turn)
+  usage.total.turns++
+  usage.turns.push(turn)
+  if (usage.turns.length > MAX_USAGE_TURNS) {
+    usage.turns.splice(0, usage.turns.length - MAX_USAGE_TURNS)
+  }
+  persistConversation(conversationId)
+
+  const budget = budgetStatus(conversationId)
+  console.log(`[${conversationId}] 💰 Turn ${turn.turn}: ${turn.inputTokens} in / ${turn.outputTokens} out tokens, $${turn.costUsd} (conversation: $${usage.total.costUsd})${budget && budget.exceeded.length > 0 ? ' - budget exceeded' : ''}`)
+  return turn
+}
+
+// Budget values must be positive numbers; null removes a limit
+function validateBudget(budget) {
+  if (!isPlainObject(budget)) {
+    return 'budget must be an object'
+  }
+  for (const [limit, value] of Object.entries(budget)) {
+    if (!BUDGET_LIMITS[limit]) {
+      return `Unknown budget limit "${limit}" (available: ${Object.keys(BUDGET_LIMITS).join(', ')})`
+    }
+    if (value !== null && (typeof value !== 'number' || !Number.isFinite(value) || value <= 0)) {
+      return `budget.${limit} must be a positive number or null`
+    }
+  }
+  return null
+}
+
+// Merges into the current budget; limits set to null are removed
+function setConversationBudget(conversationId, budget) {
+  const merged = { ...(conversationBudgets.get(conversationId) || {}), ...budget }
+  for (const [limit, value] of Object.entries(merged)) {
+    if (value === null) delete merged[limit]
+  }
+  if (Object.keys(merged).length > 0) {
+    conversationBudgets.set(conversationId, merged)
+  } else {
+    conversationBudgets.delete(conversationId)
+  }
+}
+
+function budgetStatus(conversationId) {
+  const budget = conversationBudgets.get(conversationId)
+  if (!budget) return null
+
+  // The turn in progress (with its repair rounds) counts before it finishes; it isn't a finished turn yet
+  const usage = conversationUsage.get(conversationId) || emptyConversationUsage()
+  const total = usage.current ? addUsage({ ...usage.total }, usage.current) : usage.total
+  const limits = {}
+  const exceeded = []
+  for (const [limit, value] of Object.entries(budget)) {
+    const used = BUDGET_LIMITS[limit](total)
+    limits[limit] = { limit: value, used, remaining: Math.max(0, Number((value - used).toFixed(6))) }
+    if (used >= value) exceeded.push(limit)
+  }
+  return { limits, exceeded }
+}
+
+function touchConversation(conversationId) {
+  conversationActivity.set(conversationId, Date.now())
+}
+
+function conversationExists(conversationId) {
+  return conversationMessages.has(conversationId) ||
+    claudeProcesses.has(conversationId) ||
+    conversationHtml.has(conversationId)
+}
+
+// Kill the CLI process and forget everything the bridge holds for a conversation.
+// keepOnDisk frees the memory only, so the conversation can still be resumed later.
+function purgeConversation(conversationId, { keepOnDisk = false } = {}) {
+  if (keepOnDisk) {
+    persistBeforeUnload(conversationId)
+  }
+
+  const claudeProcess = claudeProcesses.get(conversationId)
+  claudeProcesses.delete(conversationId)
+  if (claudeProcess) {
+    claudeProcess.kill()
+  }
+
+  clearPendingPermissions(conversationId)
+  clearPendingControlRequests(conversationId)
+  const queue = conversationQueues.get(conversationId)
+  if (queue) {
+    clearTimeout(queue.readyTimer)
+    clearTimeout(queue.cancelTimer)
+    conversationQueues.delete(conversationId)
+  }
+  endStream(conversationId)
+
+  for (const [sessionId, info] of sessionTracking.entries()) {
+    if (info.conversationId === conversationId) {
+      sessionTracking.delete(sessionId)
+    }
+  }
+  conversationMessages.delete(conversationId)
+  outputBuffers.delete(conversationId)
+  conversationHtml.delete(conversationId)
+  conversationModels.delete(conversationId)
+  conversationSchemas.delete(conversationId)
+  repairStates.delete(conversationId)
+  conversationChanges.delete(conversationId)
+  conversationUsage.delete(conversationId)
+  conversationBudgets.delete(conversationId)
+  reportedTotals.delete(conversationId)
+  streamEventLogs.delete(conversationId)
+  conversationActivity.delete(conversationId)
+  if (!keepOnDisk) {
+    removePersistedConversation(conversationId)
+  }
+  removeMcpConfig(conversationId)
+}
+
+function reapIdleConversations() {
+  const cutoff = Date.now() - IDLE_TIMEOUT_MINUTES * 60 * 1000
+
+  for (const [conversationId, lastActivity] of conversationActivity.entries()) {
+    if (lastActivity > cutoff) continue
+
+    // Someone is still watching or Claude is still working; not idle
+    const queue = conversationQueues.get(conversationId)
+    if (activeStreams.has(conversationId) || (queue && queue.state === 'busy')) continue
+
+    console.log(`[${conversationId}] 🧹 Reaping conversation idle since ${new Date(lastActivity).toISOString()}`)
+    purgeConversation(conversationId, { keepOnDisk: true })
+  }
+}
+
+function writeSseEvent(res, entry) {
+  res.write(`id: ${entry.id}\ndata: ${JSON.stringify(entry.event)}\n\n`)
+}
+
+function isTerminalEvent(event) {
+  return event.type === 'done' || event.type === 'error'
+}
+
+// Every event gets an id and goes into a per-conversation ring buffer, so a client that
+// reconnects with Last-Event-ID receives exactly what it missed while disconnected
+function sendStreamEvent(conversationId, event) {
+  const log = streamEventLogs.get(conversationId) || { nextId: 1, events: [] }
+  const entry = { id: log.nextId++, event }
+
+  log.events.push(entry)
+  if (log.events.length > SSE_BUFFER_SIZE) {
+    log.events.shift()
+  }
+  streamEventLogs.set(conversationId, log)
+
+  const subscribers = activeStreams.get(conversationId)
+  if (!subscribers) return false
+  for (const res of subscribers) {
+    writeSseEvent(res, entry)
+  }
+  return true
+}
+
+// Ends every subscriber of a conversation (after done/error or when the CLI exits)
+function endStream(conversationId) {
+  const subscribers = activeStreams.get(conversationId)
+  if (!subscribers) return
+  activeStreams.delete(conversationId)
+  for (const res of subscribers) {
+    res.end()
+  }
+}
+
+function writeControlResponse(conversationId, requestId, response) {
+  const claudeProcess = claudeProcesses.get(conversationId)
+  if (!claudeProcess) {
+    console.error(`[${conversationId}] No Claude process found for control response ${requestId}`)
+    return false
+  }
+
+  claudeProcess.stdin.write(JSON.stringify({
+    type: 'control_response',
+    response: {
+      subtype: 'success',
+      request_id: requestId,
+      response
+    }
+  }) + '\n')
+  return true
+}
+
+// Claude CLI asks for permission (--permission-prompt-tool stdio) with a control_request on stdout.
+// Forward it to the extension and wait for /approve or /deny, denying by default after PERMISSION_TIMEOUT_MS.
+function handlePermissionRequest(conversationId, event) {
+  const requestId = event.request_id
+  const { tool_name: toolName, input, tool_use_id: toolUseId } = event.request
+
+  const timer = setTimeout(() => {
+    console.log(`[${conversationId}] ⏱️ Permission request ${requestId} for ${toolName} timed out, denying`)
+    resolvePermission(conversationId, requestId, {
+      behavior: 'deny',
+      message: 'Permission request timed out without a response from the user'
+    })
+    sendStreamEvent(conversationId, { type: 'permission_timeout', data: { requestId, toolName } })
+  }, PERMISSION_TIMEOUT_MS)
+
+  const pending = pendingPermissions.get(conversationId) || new Map()
+  pending.set(requestId, { toolName, input, toolUseId, timer, createdAt: Date.now() })
+  pendingPermissions.set(conversationId, pending)
+
+  console.log(`[${conversationId}] 🔐 Permission requested for ${toolName} (request ${requestId})`)
+  sendStreamEvent(conversationId, {
+    type: 'permission_request',
+    data: { requestId, toolName, input, toolUseId, timeoutMs: PERMISSION_TIMEOUT_MS }
+  })
+}
+
+function resolvePermission(conversationId, requestId, response) {
+  const pending = pendingPermissions.get(conversationId)
+  const request = pending && pending.get(requestId)
+  if (!request) return null
+
+  clearTimeout(request.timer)
+  pending.delete(requestId)
+  if (pending.size === 0) {
+    pendingPermissions.delete(conversationId)
+  }
+
+  writeControlResponse(conversationId, requestId, response)
+  return request
+}
+
+function clearPendingPermissions(conversationId) {
+  const pending = pendingPermissions.get(conversationId)
+  if (!pending) return
+
+  for (const request of pending.values()) {
+    clearTimeout(request.timer)
+  }
+  pendingPermissions.delete(conversationId)
+}
+
+app.get('/health', (req, res) => {
+  // Without the token, only enough to tell that the bridge is running
+  if (!hasValidToken(req)) {
+    return res.json({ ok: true, service: SERVICE_NAME })
+  }
+
+  const authStatus = checkClaudeAuth()
+  res.json({
+    ok: true,
+    service: SERVICE_NAME,
+    version: BRIDGE_VERSION,
+    authenticated: authStatus.authenticated,
+    claudeProcesses: claudeProcesses.size,
+    ...authStatus
+  })
+})
+
+app.get('/auth/status', (req, res) => {
+  const authStatus = checkClaudeAuth()
+  res.json(authStatus)
+})
+
+app.get('/schemas', (req, res) => {
+  const schemas = Array.from(schemaRegistry.entries()).map(([name, versions]) => ({
+    name,
+    versions: Array.from(versions.keys()).sort((a, b) => a - b)
+  }))
+  res.json({ schemas })
+})
+
+app.get('/schemas/:name', (req, res) => {
+  const { name } = req.params
+  const { version } = req.query
+
+  const registered = getRegisteredSchema(name, version)
+  if (!registered) {
+    return res.status(404).json({ error: `Schema not found: ${name}${version ? ` version ${version}` : ''}` })
+  }
+  res.json(registered)
+})
+
+// Register a schema under a name. Without an explicit version, the next version number is assigned.
+app.put('/schemas/:name', (req, res) => {
+  const { name } = req.params
+  const { schema, version } = req.body
+
+  if (!schema || typeof schema !== 'object') {
+    return res.status(400).json({ error: 'Missing schema object in request body' })
+  }
+
+  if (version !== undefined && (!Number.isInteger(Number(version)) || Number(version) < 1)) {
+    return res.status(400).json({ error: 'version must be a positive integer' })
+  }
+
+  if (version !== undefined && getRegisteredSchema(name, version)) {
+    return res.status(409).json({ error: `Schema ${name} version ${version} already exists` })
+  }
+
+  const registeredVersion = registerSchema(name, schema, version)
+  console.log(`📋 Registered schema ${name} v${registeredVersion}`)
+  res.json({ success: true, name, version: registeredVersion })
+})
+
+// Every conversation the bridge knows, most recently active first
+app.get('/conversations', (req, res) => {
+  const ids = new Set([...conversationMessages.keys(), ...claudeProcesses.keys(), ...conversationHtml.keys()])
+  const conversations = Array.from(ids).map(conversationId => {
+    const history = conversationHtml.get(conversationId)
+    return {
+      conversationId,
+      model: conversationModels.get(conversationId) || null,
+      running: claudeProcesses.has(conversationId),
+      queue: getQueueStatus(conversationId),
+      messages: (conversationMessages.get(conversationId) || []).length,
+      pages: history ? history.pages.length : 0,
+      currentPage: history && history.pages.length > 0 ? currentPage(history).page : null,
+      revision: (conversationChanges.get(conversationId) || []).length,
+      costUsd: conversationUsage.has(conversationId) ? conversationUsage.get(conversationId).total.costUsd : 0,
+      lastActivity: conversationActivity.get(conversationId) || null
+    }
+  })
+
+  conversations.sort((a, b) => (b.lastActivity || 0) - (a.lastActivity || 0))
+  res.json({ conversations })
+})
+
+// Token and cost totals across all conversations, most expensive first
+app.get('/usage', (req, res) => {
+  const total = { ...emptyUsage(), turns: 0 }
+  const conversations = Array.from(conversationUsage.entries())
+    .filter(([conversationId]) => conversationExists(conversationId))
+    .map(([conversationId, usage]) => {
+      addUsage(total, usage.total)
+      total.turns += usage.total.turns
+      return {
+        conversationId,
+        model: conversationModels.get(conversationId) || null,
+        usage: usage.total,
+        budget: budgetStatus(conversationId)
+      }
+    })
+
+  conversations.sort((a, b) => b.usage.costUsd - a.usage.costUsd)
+  res.json({ total, conversations })
+})
+
+app.post('/conversations', (req, res) => {
+  const { session_id, jsonSchema, schemaName, schemaVersion, html, stylesheets, page, url, viewport, label, model, budget } = req.body
+  const conversationId = session_id || `conv_${Date.now()}`
+
+  const budgetError = budget !== undefined && budget !== null ? validateBudget(budget) : null
+  if (budgetError) {
+    return res.status(400).json({ error: budgetError })
+  }
+
+  const schemaError = setConversationSchema(conversationId, { jsonSchema, schemaName, schemaVersion })
+  if (schemaError) {
+    return res.status(400).json({ error: schemaError })
+  }
+
+  if (budget) {
+    setConversationBudget(conversationId, budget)
+  }
+
+  conversationMessages.set(conversationId, [])
+  touchConversation(conversationId)
+
+  // Store HTML for chunk retrieval if provided
+  if (html) {
+    addSnapshot(conversationId, { html, stylesheets, page, url, viewport, label })
+    console.log(`📄 Stored HTML for conversation ${conversationId} (${html.length} chars)`)
+  }
+
+  // Store model selection if provided (defaults to config.defaultModel)
+  const selectedModel = model || config.defaultModel
+  conversationModels.set(conversationId, selectedModel)
+  console.log(`🤖 Model for conversation ${conversationId}: ${selectedModel}`)
+
+  if (session_id) {
+    const isResume = sessionTracking.has(session_id)
+    sessionTracking.set(session_id, { conversationId, isResume })
+    console.log(`Conversation ${conversationId} ${isResume ? 'resuming' : 'starting'} session ${session_id}`)
+  }
+
+  persistConversation(conversationId)
+
+  res.json({
+    success: true,
+    conversationId
+  })
+})
+
+app.post('/conversations/:id/messages', (req, res) => {
+  const { id } = req.params
+  const { content, files, systemPrompt, jsonSchema, schemaName, schemaVersion } = req.body
+
+  const budget = budgetStatus(id)
+  if (budget && budget.exceeded.length > 0) {
+    console.log(`[${id}] 💸 Refusing message, budget exceeded (${budget.exceeded.join(', ')})`)
+    return res.status(402).json({
+      error: `Conversation budget exceeded: ${budget.exceeded.join(', ')}`,
+      usage: getUsage(id).total,
+      budget
+    })
+  }
+
+  // Accept schema if provided (for bridge restarts / schema updates); used the next time the CLI starts
+  const schemaError = setConversationSchema(id, { jsonSchema, schemaName, schemaVersion })
+  if (schemaError) {
+    return res.status(400).json({ error: schemaError })
+  }
+  if (jsonSchema || schemaName) {
+    persistConversation(id)
+  }
+
+  if (!claudeProcesses.has(id)) {
+    let sessionId = null
+    let isResume = false
+
+    for (const [sid, info] of sessionTracking.entries()) {
+      if (info.conversationId === id) {
+        sessionId = sid
+        isResume = info.isResume
+        break
+      }
+    }
+
+    spawnClaudeForConversation(id, systemPrompt, sessionId, isResume)
+  }
+
+  const position = enqueueMessage(id, { content, files })
+  if (position === null) {
+    return res.status(500).json({ error: 'Failed to queue message, Claude CLI is not running' })
+  }
+
+  res.json({
+    success: true,
+    position,
+    queue: getQueueStatus(id)
+  })
+})
+
+function sendUserMessage(conversationId, content, files, { record = true } = {}) {
+  const claudeProcess = claudeProcesses.get(conversationId)
   if (!claudeProcess) {
     console.error(`[${conversationId}] No Claude process found`)
     return
   }
 
-  const messages = conversationMessages.get(conversationId) || []
-  messages.push({ role: 'user', content })
-  conversationMessages.set(conversationId, messages)
+  if (record) {
+    const messages = conversationMessages.get(conversationId) || []
+    messages.push({ role: 'user', content })
+    conversationMessages.set(conversationId, messages)
+    persistConversation(conversationId)
+
+    const notice = undoNotice(conversationId)
+    if (notice) content = `${notice}\n\n${content}`
+  }
+
+  let messageContent
+
+  if (files && files.length > 0) {
+    messageContent = [{ type: 'text', text: content }]
+
+    for (const file of files) {
+      const match = file.match(/^data:image\/(\w+);base64,(.+)$/)
+      if (match) {
+        const [, format, data] = match
+        messageContent.push({
+          type: 'image',
+          source: {
+            type: 'base64',
+            media_type: `image/${format}`,
+            data: data
+          }
+        })
+      } else {
+        console.warn(`[${conversationId}] Invalid data URI format: ${file.substring(0, 50)}...`)
+      }
+    }
+    console.log(`[${conversationId}] Sending message with ${files.length} image(s)`)
+  } else {
+    messageContent = content
+  }
+
+  const userMessage = {
+    type: 'user',
+    message: {
+      role: 'user',
+      content: messageContent
+    }
+  }
+
+  console.log(`[${conversationId}] Sending to Claude:`, JSON.stringify(userMessage).substring(0, 200))
+  claudeProcess.stdin.write(JSON.stringify(userMessage) + '\n')
+}
+
+app.get('/conversations/:id/stream', (req, res) => {
+  const { id } = req.params
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10)
+
+  res.setHeader('Content-Type', 'text/event-stream')
+  res.setHeader('Cache-Control', 'no-cache')
+  res.setHeader('Connection', 'keep-alive')
+  res.flushHeaders()
+
+  // Replay whatever the client missed since its last received event
+  if (!isNaN(lastEventId)) {
+    const log = streamEventLogs.get(id)
+    const missed = log ? log.events.filter(entry => entry.id > lastEventId) : []
+
+    if (log && log.events.length > 0 && log.events[0].id > lastEventId + 1 && lastEventId < log.nextId) {
+      console.log(`[${id}] ⚠️ Replay gap: events ${lastEventId + 1}-${log.events[0].id - 1} are no longer buffered`)
+      res.write(`data: ${JSON.stringify({ type: 'replay_gap', data: { from: lastEventId + 1, to: log.events[0].id - 1 } })}\n\n`)
+    }
+
+    console.log(`[${id}] 🔁 Replaying ${missed.length} event(s) after Last-Event-ID ${lastEventId}`)
+    for (const entry of missed) {
+      writeSseEvent(res, entry)
+    }
+
+    // The turn already finished while the client was away, nothing more will follow
+    if (missed.length > 0 && isTerminalEvent(missed[missed.length - 1].event)) {
+      return res.end()
+    }
+  }
+
+  const subscribers = activeStreams.get(id) || new Set()
+  subscribers.add(res)
+  activeStreams.set(id, subscribers)
+  console.log(`[${id}] 📡 Stream subscriber connected (${subscribers.size} active)`)
+
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n')
+  }, SSE_HEARTBEAT_MS)
+
+  res.on('close', () => {
+    clearInterval(heartbeat)
+    // Only drop this subscriber; the set may already be gone (ended) or replaced by newer subscribers
+    const current = activeStreams.get(id)
+    if (current && current.has(res)) {
+      current.delete(res)
+      if (current.size === 0) {
+        activeStreams.delete(id)
+      }
+    }
+  })
+})
+
+// Page contexts of a conversation are keyed by URL (without query string or hash) and viewport, or by an
+// explicit name. Each stored page state is a numbered snapshot; numbers are unique across the pages and
+// keep counting when old snapshots are dropped.
+// Query parameters that only track where a visit came from, so they don't make a different page
+const TRACKING_PARAMS = /^(utm_.*|fbclid|gclid|msclkid|mc_cid|mc_eid|_ga|ref)$/i
+
+function pageKey(url, viewport) {
+  let base = 'default'
+  if (url) {
+    try {
+      const parsed = new URL(url)
+      // ?variant=b and ?id=2 are different pages; parameter order and tracking parameters don't matter
+      const params = Array.from(parsed.searchParams).filter(([name]) => !TRACKING_PARAMS.test(name)).sort(([a], [b]) => a.localeCompare(b))
+      const search = new URLSearchParams(params).toString()
+      base = `${parsed.origin}${parsed.pathname}${search ? `?${search}` : ''}`
+    } catch (error) {
+      base = url
+    }
+  }
+  return viewport ? `${base}@${viewport}` : base
+}
+
+function isSet(value) {
+  return value !== undefined && value !== null && value !== ''
+}
+
+function latestSnapshot(page) {
+  return page.snapshots[page.snapshots.length - 1]
+}
+
+// The most recently updated page is the default for routes called without `page`
+function currentPage(history) {
+  return history.pages.reduce((current, page) =>
+    !current || latestSnapshot(page).snapshot > latestSnapshot(current).snapshot ? page : current, null)
+}
+
+// By name, or by URL when only one viewport matters (the most recently updated one wins)
+function findPage(history, page) {
+  return history.pages.find(entry => entry.page === page) ||
+    history.pages
+      .filter(entry => entry.url && pageKey(entry.url) === pageKey(page))
+      .sort((a, b) => latestSnapshot(b).snapshot - latestSnapshot(a).snapshot)[0] ||
+    null
+}
+
+// Store a page state. Without page/url/viewport it becomes the next snapshot of the current page.
+function addSnapshot(conversationId, { html, stylesheets, page, url, viewport, label }) {
+  const history = conversationHtml.get(conversationId) || { pages: [], nextSnapshot: 1 }
+  const current = currentPage(history)
+
+  let key
+  let pageUrl = url || null
+  if (page) {
+    key = page
+  } else if (url) {
+    key = pageKey(url, viewport)
+  } else if (viewport) {
+    pageUrl = current && current.url
+    key = pageKey(pageUrl, viewport)
+  } else {
+    key = current ? current.page : pageKey(null, null)
+  }
+
+  let entry = history.pages.find(candidate => candidate.page === key)
+  if (!entry) {
+    entry = { page: key, url: pageUrl, viewport: viewport || null, snapshots: [] }
+    history.pages.push(entry)
+  }
+  if (url) entry.url = url
+  if (viewport) entry.viewport = viewport
+
+  const snapshot = {
+    snapshot: history.nextSnapshot++,
+    page: key,
+    html,
+    stylesheets: normalizeStylesheets(stylesheets),
+    url: entry.url,
+    viewport: entry.viewport,
+    label: label || null,
+    timestamp: Date.now()
+  }
+
+  entry.snapshots.push(snapshot)
+  if (entry.snapshots.length > MAX_HTML_SNAPSHOTS) {
+    entry.snapshots.splice(0, entry.snapshots.length - MAX_HTML_SNAPSHOTS)
+  }
+  conversationHtml.set(conversationId, history)
+  return snapshot
+}
+
+// The latest snapshot of `page` (default: the current page), or the one numbered `snapshot`
+function getStoredHtml(conversationId, { page, snapshot } = {}) {
+  const history = conversationHtml.get(conversationId)
+  if (!history || history.pages.length === 0) return null
+
+  const entry = isSet(page) ? findPage(history, page) : null
+  if (isSet(snapshot)) {
+    const pages = isSet(page) ? [entry].filter(Boolean) : history.pages
+    for (const candidate of pages) {
+      const found = candidate.snapshots.find(item => item.snapshot === Number(snapshot))
+      if (found) return found
+    }
+    return null
+  }
+
+  const target = isSet(page) ? entry : currentPage(history)
+  return target ? latestSnapshot(target) : null
+}
+
+function missingHtmlError(conversationId, { page, snapshot } = {}) {
+  const history = conversationHtml.get(conversationId)
+  if (history && isSet(page) && !findPage(history, page)) {
+    return `Page not found: ${page}`
+  }
+  if (history && isSet(snapshot)) {
+    return `Snapshot not found: ${snapshot}`
+  }
+  return 'Conversation not found or no HTML stored'
+}
+
+function snapshotInfo(snapshot) {
+  return {
+    snapshot: snapshot.snapshot,
+    page: snapshot.page,
+    url: snapshot.url,
+    viewport: snapshot.viewport,
+    label: snapshot.label,
+    timestamp: snapshot.timestamp,
+    size: snapshot.html.length
+  }
+}
+
+function pageInfo(page) {
+  const latest = latestSnapshot(page)
+  return {
+    page: page.page,
+    url: page.url,
+    viewport: page.viewport,
+    snapshots: page.snapshots.map(snapshot => snapshot.snapshot),
+    latestSnapshot: latest.snapshot,
+    label: latest.label,
+    updatedAt: latest.timestamp,
+    size: latest.html.length
+  }
+}
+
+// Extract a single HTML chunk by selector using jsdom
+function extractChunk(html, selector, dom = null) {
+  try {
+    // Reuse DOM if provided, otherwise create new one
+    const jsdom = dom || new JSDOM(html)
+    const document = jsdom.window.document
+
+    const element = document.querySelector(selector)
+    if (element) {
+      return { selector, html: element.outerHTML, found: true }
+    }
+
+    return { selector, html: '', found: false, error: `Element not found: ${selector}` }
+  } catch (error) {
+    return { selector, html: '', found: false, error: `Invalid selector: ${error.message}` }
+  }
+}
+
+// Get HTML chunk(s) by CSS selector(s)
+// GET with single selector: ?selector=.hero
+// GET with multiple selectors: ?selectors=.hero,header,#main
+app.get('/conversations/:id/chunk', (req, res) => {
+  const { id } = req.params
+  const { selector, selectors, page, snapshot } = req.query
+
+  // Support both single selector and multiple selectors
+  let selectorList = []
+  if (selectors) {
+    selectorList = selectors.split(',').map(s => s.trim()).filter(s => s)
+  } else if (selector) {
+    selectorList = [selector]
+  }
+
+  if (selectorList.length === 0) {
+    return res.status(400).json({ error: 'Missing selector or selectors query parameter' })
+  }
+
+  const stored = getStoredHtml(id, { page, snapshot })
+  if (!stored) {
+    return res.status(404).json({ error: missingHtmlError(id, { page, snapshot }) })
+  }
+
+  try {
+    const html = stored.html
+    // Parse DOM once and reuse for all selectors
+    const dom = new JSDOM(html)
+    const results = selectorList.map(sel => extractChunk(html, sel, dom))
+
+    // For single selector (backward compatibility), return single object
+    if (selectorList.length === 1) {
+      const result = results[0]
+      if (!result.found) {
+        return res.status(404).json(result)
+      }
+      return res.json(result)
+    }
+
+    // For multiple selectors, return array
+    return res.json({ results })
+  } catch (error) {
+    return res.status(500).json({ error: `Failed to extract chunk: ${error.message}` })
+  }
+})
+
+// POST endpoint for multiple selectors (preferred for complex requests)
+app.post('/conversations/:id/chunks', (req, res) => {
+  const { id } = req.params
+  const { selectors, page, snapshot } = req.body
+
+  if (!selectors || !Array.isArray(selectors) || selectors.length === 0) {
+    return res.status(400).json({ error: 'Missing or invalid selectors array in request body' })
+  }
+
+  const stored = getStoredHtml(id, { page, snapshot })
+  if (!stored) {
+    return res.status(404).json({ error: missingHtmlError(id, { page, snapshot }) })
+  }
+
+  try {
+    const html = stored.html
+    // Parse DOM once and reuse for all selectors
+    const dom = new JSDOM(html)
+    const results = selectors.map(sel => extractChunk(html, sel, dom))
+    return res.json({ results })
+  } catch (error) {
+    return res.status(500).json({ error: `Failed to extract chunks: ${error.message}` })
+  }
+})
+
+// Ids and positional pseudo-classes say the author meant one specific element
+function selectorImpliesSingle(selector) {
+  // A # inside a quoted or attribute value ([href="#top"]) is not an id selector
+  const structure = selector
+    .replace(/"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'/g, '""')
+    .replace(/\[[^\]]*\]/g, '[]')
+  return /#[^\s>+~.:[]/.test(structure) || /:(nth-child|nth-of-type|nth-last-child|nth-last-of-type|first-child|last-child|first-of-type|last-of-type|only-child|only-of-type)\b/.test(structure)
+}
+
+function checkSelector(document, selector, expectSingle = false) {
+  try {
+    const matchCount = document.querySelectorAll(selector).length
+    return {
+      selector,
+      matchCount,
+      invalid: false,
+      ambiguous: matchCount > 1 && (expectSingle || selectorImpliesSingle(selector))
+    }
+  } catch (error) {
+    return { selector, matchCount: 0, invalid: true, ambiguous: false, error: error.message }
+  }
+}
+
+// Report, per DOM change, how many elements its selector and targetSelector match in the stored page
+function checkChangeSelectors(document, domChanges) {
+  const changes = domChanges.map((change, index) => {
+    if (!isPlainObject(change)) {
+      return { index, type: null, notAnObject: true }
+    }
+    const report = { index, type: change.type }
+
+    if (typeof change.selector === 'string') {
+      // A moved element lands in one place, so several matches are unlikely to be intended
+      report.selector = checkSelector(document, change.selector, change.type === 'move')
+    }
+    if (typeof change.targetSelector === 'string') {
+      // Move/create insert relative to a single target element
+      report.targetSelector = checkSelector(document, change.targetSelector, true)
+    }
+    if (change.waitForElement) {
+      // Element is expected to appear later (SPA), so no match in the snapshot is fine
+      report.waitForElement = true
+    }
+
+    return report
+  })
+
+  const checks = changes.flatMap(report => [report.selector, report.targetSelector].filter(Boolean))
+  const unmatched = changes.flatMap(report => [report.waitForElement ? null : report.selector, report.targetSelector])
+    .filter(check => check && !check.invalid && check.matchCount === 0)
+  return {
+    changes,
+    summary: {
+      invalid: checks.filter(check => check.invalid).length,
+      unmatched: unmatched.length,
+      ambiguous: checks.filter(check => check.ambiguous).length
+    }
+  }
+}
+
+// Current variant state: the accumulated change list and every revision that led to it
+app.get('/conversations/:id/changes', (req, res) => {
+  const { id } = req.params
+
+  if (!conversationExists(id)) {
+    return res.status(404).json({ error: 'Conversation not found' })
+  }
+
+  const history = conversationChanges.get(id) || []
+  res.json({
+    revision: history.length,
+    changes: getCurrentChanges(id),
+    history
+  })
+})
+
+// Roll the change list back to an earlier revision (default: the previous one). The undo is
+// itself recorded as a new revision, so it can be undone too.
+app.post('/conversations/:id/changes/undo', (req, res) => {
+  const { id } = req.params
+  const history = conversationChanges.get(id) || []
+  const { revision = history.length - 1 } = req.body || {}
+
+  if (!conversationExists(id)) {
+    return res.status(404).json({ error: 'Conversation not found' })
+  }
+
+  if (!Number.isInteger(revision) || revision < 0 || revision >= history.length) {
+    return res.status(400).json({ error: `revision must be an integer between 0 and ${Math.max(history.length - 1, 0)}` })
+  }
+
+  const changes = revision === 0 ? [] : history[revision - 1].changes
+  // Claude only learns about the undo with the next message, see undoNotice()
+  const undo = recordChangeRevision(id, { source: 'user', action: 'undo', changes, revertedTo: revision })
+  undo.announced = false
+  sendStreamEvent(id, { type: 'changes', data: { revision: undo.revision, changes: undo.changes, revertedTo: revision } })
+
+  res.json({
+    success: true,
+    revision: undo.revision,
+    changes: undo.changes
+  })
+})
+
+// Check selectors of DOM changes the extension already holds against the stored HTML
+app.post('/conversations/:id/validate-changes', (req, res) => {
+  const { id } = req.params
+  const { domChanges, page } = req.body
+
+  if (!Array.isArray(domChanges)) {
+    return res.status(400).json({ error: 'Missing or invalid domChanges array in request body' })
+  }
+  const malformed = domChanges.findIndex(change => !isPlainObject(change))
+  if (malformed !== -1) {
+    return res.status(400).json({ error: `domChanges[${malformed}] must be an object` })
+  }
+
+  const stored = getStoredHtml(id, { page })
+  if (!stored) {
+    return res.status(404).json({ error: missingHtmlError(id, { page }) })
+  }
+
+  try {
+    const document = new JSDOM(stored.html).window.document
+    return res.json(checkChangeSelectors(document, domChanges))
+  } catch (error) {
+    return res.status(500).json({ error: `Failed to validate changes: ${error.message}` })
+  }
+})
+
+function normalizeText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim()
+}
+
+function toKebabCase(property) {
+  return property.startsWith('--') ? property : property.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)
+}
+
+function cssDeclarations(properties, important = false) {
+  return Object.entries(properties || {})
+    .map(([property, value]) => `${toKebabCase(property)}: ${value}${important ? ' !important' : ''};`)
+    .join(' ')
+}
+
+function insertRelative(node, target, position = 'lastChild') {
+  if (position === 'before') {
+    target.before(node)
+  } else if (position === 'after') {
+    target.after(node)
+  } else if (position === 'firstChild') {
+    target.prepend(node)
+  } else {
+    target.append(node)
+  }
+}
+
+// Apply one DOM change (DOM_CHANGES_SCHEMA semantics) to a jsdom document. DOM exceptions (a class token
+// with a space, an invalid attribute name, moving an element into its own descendant) fail only that change.
+function applyDomChange(document, change) {
+  if (!isPlainObject(change)) {
+    return { applied: false, affected: 0, error: 'Change must be an object' }
+  }
+
+  try {
+    return applyDomChangeUnchecked(document, change)
+  } catch (error) {
+    return { applied: false, affected: 0, error: `${error.name}: ${error.message}` }
+  }
+}
+
+function applyDomChangeUnchecked(document, change) {
+  let elements
+  try {
+    elements = change.selector ? Array.from(document.querySelectorAll(change.selector)) : []
+  } catch (error) {
+    return { applied: false, affected: 0, error: `Invalid selector: ${error.message}` }
+  }
+
+  const resolveTarget = () => {
+    try {
+      return document.querySelector(change.targetSelector)
+    } catch (error) {
+      return null
+    }
+  }
+
+  switch (change.type) {
+    case 'text':
+      elements.forEach(element => { element.textContent = change.value })
+      break
+    case 'html':
+      elements.forEach(element => { element.innerHTML = change.value })
+      break
+    case 'style': {
+      const css = change.css || change.value || {}
+      elements.forEach(element => {
+        for (const [property, value] of Object.entries(css)) {
+          element.style.setProperty(toKebabCase(property), String(value), change.important ? 'important' : '')
+        }
+      })
+      break
+    }
+    case 'styleRules': {
+      // Rules apply to current and future matches, so they go into a stylesheet rather than inline
+      const rules = Object.entries(change.states || {}).map(([state, properties]) => {
+        const selector = state === 'normal' ? change.selector : `${change.selector}:${state}`
+        return `${selector} { ${cssDeclarations(properties, change.important)} }`
+      })
+      const style = document.createElement('style')
+      style.setAttribute('data-absmartly-preview', '')
+      style.textContent = rules.join('\n')
+      ;(document.head || document.documentElement).appendChild(style)
+      break
+    }
+    case 'class':
+      elements.forEach(element => {
+        element.classList.add(...(change.add || []))
+        element.classList.remove(...(change.remove || []))
+      })
+      break
+    case 'attribute':
+      elements.forEach(element => {
+        for (const [name, value] of Object.entries(change.value || {})) {
+          if (value === null || value === false) {
+            element.removeAttribute(name)
+          } else {
+            element.setAttribute(name, String(value))
+          }
+        }
+      })
+      break
+    case 'javascript':
+      return { applied: false, affected: elements.length, skipped: 'javascript changes are not executed in preview' }
+    case 'move': {
+      const target = resolveTarget()
+      if (!target) {
+        return { applied: false, affected: 0, error: `Target not found: ${change.targetSelector}` }
+      }
+      elements.forEach(element => insertRelative(element, target, change.position))
+      break
+    }
+    case 'create': {
+      const target = resolveTarget()
+      if (!target) {
+        return { applied: false, affected: 0, error: `Target not found: ${change.targetSelector}` }
+      }
+      const template = document.createElement('template')
+      template.innerHTML = change.element || ''
+      const created = Array.from(template.content.childNodes)
+      // Keep the created nodes in document order for before/after/lastChild, reversed for firstChild
+      const ordered = change.position === 'firstChild' || change.position === 'after' ? created.reverse() : created
+      ordered.forEach(node => insertRelative(node, target, change.position))
+      return { applied: true, affected: created.filter(node => node.nodeType === 1).length }
+    }
+    case 'delete':
+      elements.forEach(element => element.remove())
+      break
+    default:
+      return { applied: false, affected: 0, error: `Unknown change type: ${change.type}` }
+  }
+
+  if (elements.length === 0 && change.type !== 'styleRules') {
+    return { applied: false, affected: 0, error: `Element not found: ${change.selector}` }
+  }
+  return { applied: true, affected: elements.length }
+}
+
+// Positional path from the document root, precise enough to locate an element in a diff
+function elementPath(element) {
+  const parts = []
+  let current = element
+  while (current && current.nodeType === 1 && current.parentElement) {
+    const index = Array.from(current.parentElement.children).indexOf(current) + 1
+    parts.unshift(`${current.tagName.toLowerCase()}:nth-child(${index})`)
+    current = current.parentElement
+  }
+  parts.unshift(current ? current.tagName.toLowerCase() : '')
+  return parts.join(' > ')
+}
+
+function ownText(element) {
+  return normalizeText(Array.from(element.childNodes)
+    .filter(node => node.nodeType === 3)
+    .map(node => node.textContent)
+    .join(' '))
+}
+
+function attributeMap(element) {
+  const attributes = {}
+  for (const attribute of Array.from(element.attributes)) {
+    attributes[attribute.name] = attribute.value
+  }
+  return attributes
+}
+
+function diffKey(element) {
+  return element.id ? `${element.tagName}#${element.id}` : element.tagName
+}
+
+// Longest common subsequence of two child lists, matched by tag name and id. The unchanged head and
+// tail are matched directly; a middle too large for the LCS table falls back to greedy in-order matching.
+function matchChildren(before, after) {
+  const beforeKeys = before.map(diffKey)
+  const afterKeys = after.map(diffKey)
+  const pairs = []
+
+  let start = 0
+  while (start < beforeKeys.length && start < afterKeys.length && beforeKeys[start] === afterKeys[start]) {
+    pairs.push([start, start])
+    start++
+  }
+  let beforeEnd = beforeKeys.length
+  let afterEnd = afterKeys.length
+  const tail = []
+  while (beforeEnd > start && afterEnd > start && beforeKeys[beforeEnd - 1] === afterKeys[afterEnd - 1]) {
+    tail.unshift([--beforeEnd, --afterEnd])
+  }
+
+  const rows = beforeEnd - start
+  const columns = afterEnd - start
+  if (rows > 0 && columns > 0) {
+    const middle = rows * columns > MAX_LCS_CELLS
+      ? matchGreedily(beforeKeys, afterKeys, start, beforeEnd, afterEnd)
+      : matchLcs(beforeKeys, afterKeys, start, beforeEnd, afterEnd)
+    pairs.push(...middle)
+  }
+  return pairs.concat(tail)
+}
+
+function matchLcs(beforeKeys, afterKeys, start, beforeEnd, afterEnd) {
+  const rows = beforeEnd - start
+  const columns = afterEnd - start
+  const width = columns + 1
+  // MAX_LCS_CELLS keeps the shorter side well below 65536, so 16-bit lengths are enough
+  const table = new Uint16Array((rows + 1) * width)
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = columns - 1; j >= 0; j--) {
+      table[i * width + j] = beforeKeys[start + i] === afterKeys[start + j]
+        ? table[(i + 1) * width + j + 1] + 1
+        : Math.max(table[(i + 1) * width + j], table[i * width + j + 1])
+    }
+  }
+
+  const pairs = []
+  let i = 0
+  let j = 0
+  while (i < rows && j < columns) {
+    if (beforeKeys[start + i] === afterKeys[start + j]) {
+      pairs.push([start + i++, start + j++])
+    } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+      i++
+    } else {
+      j++
+    }
+  }
+  return pairs
+}
+
+// Each element is matched with the next unmatched element of the same key, keeping the pairs in order
+function matchGreedily(beforeKeys, afterKeys, start, beforeEnd, afterEnd) {
+  const positions = new Map()
+  for (let j = start; j < afterEnd; j++) {
+    if (!positions.has(afterKeys[j])) positions.set(afterKeys[j], [])
+    positions.get(afterKeys[j]).push(j)
+  }
+
+  const pairs = []
+  const cursors = new Map()
+  let lastMatched = start - 1
+  for (let i = start; i < beforeEnd; i++) {
+    const candidates = positions.get(beforeKeys[i])
+    if (!candidates) continue
+    let cursor = cursors.get(beforeKeys[i]) || 0
+    while (cursor < candidates.length && candidates[cursor] <= lastMatched) cursor++
+    cursors.set(beforeKeys[i], cursor)
+    if (cursor < candidates.length) {
+      lastMatched = candidates[cursor]
+      pairs.push([i, lastMatched])
+      cursors.set(beforeKeys[i], cursor + 1)
+    }
+  }
+  return pairs
+}
+
+function snippet(element, maxLength = 500) {
+  const html = element.outerHTML
+  return html.length > maxLength ? `${html.slice(0, maxLength)}...` : html
+}
+
+// Structural diff between two element trees: added, removed, changed (attributes/text) and moved elements
+function diffElementTrees(beforeRoot, afterRoot) {
+  const entries = []
+
+  // Paths are built while walking; computing each from scratch re-reads every sibling list
+  const walk = (before, after, beforePath, afterPath) => {
+    const beforeAttributes = attributeMap(before)
+    const afterAttributes = attributeMap(after)
+    const attributes = {}
+    for (const name of new Set([...Object.keys(beforeAttributes), ...Object.keys(afterAttributes)])) {
+      if (beforeAttributes[name] !== afterAttributes[name]) {
+        attributes[name] = { before: beforeAttributes[name] ?? null, after: afterAttributes[name] ?? null }
+      }
+    }
+
+    const beforeText = ownText(before)
+    const afterText = ownText(after)
+    if (Object.keys(attributes).length > 0 || beforeText !== afterText) {
+      const entry = { op: 'changed', path: afterPath }
+      if (Object.keys(attributes).length > 0) entry.attributes = attributes
+      if (beforeText !== afterText) entry.text = { before: beforeText, after: afterText }
+      entries.push(entry)
+    }
+
+    const beforeChildren = Array.from(before.children)
+    const afterChildren = Array.from(after.children)
+    const pairs = matchChildren(beforeChildren, afterChildren)
+    const matchedBefore = new Set(pairs.map(([i]) => i))
+    const matchedAfter = new Set(pairs.map(([, j]) => j))
+
+    const childPath = (parentPath, child, index) => `${parentPath} > ${child.tagName.toLowerCase()}:nth-child(${index + 1})`
+
+    beforeChildren.forEach((child, i) => {
+      if (!matchedBefore.has(i)) entries.push({ op: 'removed', path: childPath(beforePath, child, i), html: snippet(child) })
+    })
+    afterChildren.forEach((child, j) => {
+      if (!matchedAfter.has(j)) entries.push({ op: 'added', path: childPath(afterPath, child, j), html: snippet(child) })
+    })
+    pairs.forEach(([i, j]) => walk(beforeChildren[i], afterChildren[j], childPath(beforePath, beforeChildren[i], i), childPath(afterPath, afterChildren[j], j)))
+  }
+
+  walk(beforeRoot, afterRoot, elementPath(beforeRoot), elementPath(afterRoot))
+
+  // An element removed in one place and added unchanged in another was moved
+  const removedByHtml = new Map()
+  for (const entry of entries) {
+    if (entry.op !== 'removed') continue
+    if (!removedByHtml.has(entry.html)) removedByHtml.set(entry.html, [])
+    removedByHtml.get(entry.html).push(entry)
+  }
+  for (const added of entries.filter(entry => entry.op === 'added')) {
+    const match = (removedByHtml.get(added.html) || []).find(entry => !entry.moved)
+    if (match) {
+      match.moved = true
+      added.op = 'moved'
+      added.from = match.path
+      added.to = added.path
+      delete added.path
+    }
+  }
+  return entries.filter(entry => !entry.moved)
+}
+
+// Apply DOM changes in order to a copy of the page, recording a structural diff for each
+function previewDomChanges(html, domChanges) {
+  const dom = new JSDOM(html)
+  const document = dom.window.document
+
+  const changes = domChanges.map((change, index) => {
+    const before = document.documentElement.cloneNode(true)
+    const result = applyDomChange(document, change)
+    return {
+      index,
+      type: isPlainObject(change) ? change.type : null,
+      selector: isPlainObject(change) ? change.selector : null,
+      ...result,
+      // A change that threw may still have modified some elements before failing
+      diff: result.applied || result.error ? diffElementTrees(before, document.documentElement) : []
+    }
+  })
+
+  return { html: dom.serialize(), changes }
+}
+
+function styleProperties(change) {
+  if (change.type === 'style') {
+    return Object.keys(change.css || change.value || {}).map(toKebabCase)
+  }
+  if (change.type === 'styleRules') {
+    return Object.values(change.states || {}).flatMap(properties => Object.keys(properties || {}).map(toKebabCase))
+  }
+  return []
+}
+
+function intersect(a, b) {
+  return a.filter(item => b.includes(item))
+}
+
+// Describe how a later change (j) fights an earlier one (i) on the elements both touch
+function compareChanges(earlier, later, shared) {
+  const { change: a } = earlier
+  const { change: b } = later
+  const pair = [earlier.index, later.index]
+
+  if (['text', 'html'].includes(a.type) && ['text', 'html'].includes(b.type)) {
+    return {
+      kind: 'overwrite',
+      changes: pair,
+      elements: shared,
+      dead: shared === earlier.targets.length,
+      message: `Change ${later.index} (${b.type}) replaces the content set by change ${earlier.index} (${a.type})`
+    }
+  }
+
+  if (a.type === 'style' && b.type === 'style') {
+    const properties = intersect(styleProperties(a), styleProperties(b))
+    if (properties.length === 0) return null
+    return {
+      kind: a.important && b.important ? 'important_override' : 'overwrite',
+      changes: pair,
+      elements: shared,
+      properties,
+      dead: properties.length === styleProperties(a).length && shared === earlier.targets.length,
+      message: `Change ${later.index} overrides ${properties.join(', ')} set by change ${earlier.index}`
+    }
+  }
+
+  if (a.type === 'attribute' && b.type === 'attribute') {
+    const names = intersect(Object.keys(a.value || {}), Object.keys(b.value || {}))
+    if (names.length === 0) return null
+    return {
+      kind: 'overwrite',
+      changes: pair,
+      elements: shared,
+      attributes: names,
+      dead: names.length === Object.keys(a.value || {}).length && shared === earlier.targets.length,
+      message: `Change ${later.index} overwrites attribute(s) ${names.join(', ')} set by change ${earlier.index}`
+    }
+  }
+
+  if (a.type === 'class' && b.type === 'class') {
+    const undone = [...intersect(a.add || [], b.remove || []), ...intersect(a.remove || [], b.add || [])]
+    if (undone.length === 0) return null
+    return {
+      kind: 'overwrite',
+      changes: pair,
+      elements: shared,
+      classes: undone,
+      dead: false,
+      message: `Change ${later.index} undoes class change(s) ${undone.join(', ')} from change ${earlier.index}`
+    }
+  }
+
+  // An !important styleRules declaration beats an inline style without !important, whatever the order
+  const [rules, inline] = a.type === 'styleRules' ? [a, b] : [b, a]
+  if (rules.type === 'styleRules' && inline.type === 'style' && rules.important && !inline.important) {
+    const normal = Object.keys((rules.states || {}).normal || {}).map(toKebabCase)
+    const properties = intersect(normal, styleProperties(inline))
+    if (properties.length === 0) return null
+    return {
+      kind: 'important_override',
+      changes: pair,
+      elements: shared,
+      properties,
+      dead: false,
+      message: `!important rule in change ${rules === a ? earlier.index : later.index} overrides ${properties.join(', ')} from style change ${inline === a ? earlier.index : later.index}`
+    }
+  }
+
+  if (a.type === 'styleRules' && b.type === 'styleRules' && a.selector === b.selector) {
+    const properties = intersect(styleProperties(a), styleProperties(b))
+    if (properties.length === 0) return null
+    return {
+      kind: a.important && b.important ? 'important_override' : 'overwrite',
+      changes: pair,
+      elements: shared,
+      properties,
+      dead: false,
+      message: `Change ${later.index} redefines ${properties.join(', ')} rules from change ${earlier.index}`
+    }
+  }
 
-  let messageContent
+  return null
+}
 
-  if (files && files.length > 0) {
-    messageContent = [{ type: 'text', text: content }]
+function queryAll(document, selector) {
+  try {
+    return selector ? Array.from(document.querySelectorAll(selector)) : []
+  } catch (error) {
+    return []
+  }
+}
 
-    for (const file of files) {
-      const match = file.match(/^data:image\/(\w+);base64,(.+)$/)
-      if (match) {
-        const [, format, data] = match
-        messageContent.push({
-          type: 'image',
-          source: {
-            type: 'base64',
-            media_type: `image/${format}`,
-            data: data
-          }
-        })
-      } else {
-        console.warn(`[${conversationId}] Invalid data URI format: ${file.substring(0, 50)}...`)
+// Simulate the changes in order on the page and report overwrites, dead changes and ordering dependencies
+function analyzeConflicts(html, domChanges) {
+  const document = new JSDOM(html).window.document
+  const steps = []
+  const conflicts = []
+  const createdBy = new Map() // element -> index of the create change that added it
+
+  // A change that is not an object, or throws while applying, is reported and otherwise left out
+  const invalid = (index, message) => {
+    steps.push({ index, change: {}, targets: [], target: null, removedBy: null, invalid: true })
+    conflicts.push({ kind: 'invalid', severity: 'error', changes: [index], message })
+  }
+
+  domChanges.forEach((change, index) => {
+    if (!isPlainObject(change)) {
+      return invalid(index, `Change ${index} must be an object`)
+    }
+
+    const step = {
+      index,
+      change,
+      targets: queryAll(document, change.selector),
+      target: change.targetSelector ? queryAll(document, change.targetSelector)[0] || null : null,
+      removedBy: null
+    }
+
+    const existing = change.type === 'create' ? new Set(document.querySelectorAll('*')) : null
+    try {
+      applyDomChangeUnchecked(document, change)
+    } catch (error) {
+      return invalid(index, `Change ${index} (${change.type}) cannot be applied: ${error.name}: ${error.message}`)
+    }
+
+    if (existing) {
+      for (const element of Array.from(document.querySelectorAll('*'))) {
+        if (!existing.has(element)) createdBy.set(element, index)
       }
     }
-    console.log(`[${conversationId}] Sending message with ${files.length} image(s)`)
-  } else {
-    messageContent = content
+
+    // Earlier changes whose elements were just taken out of the page are dead
+    for (const earlier of steps) {
+      if (earlier.removedBy === null && earlier.targets.length > 0 && earlier.targets.every(element => !element.isConnected)) {
+        earlier.removedBy = index
+      }
+    }
+
+    steps.push(step)
+  })
+
+  const valid = steps.filter(step => !step.invalid)
+  for (const later of valid) {
+    for (const earlier of valid.filter(step => step.index < later.index)) {
+      const shared = earlier.targets.filter(element => later.targets.includes(element)).length
+      const sameRules = earlier.change.type === 'styleRules' && later.change.type === 'styleRules'
+      if (shared === 0 && !sameRules) continue
+      let conflict
+      try {
+        conflict = compareChanges(earlier, later, shared)
+      } catch (error) {
+        // Malformed values (e.g. a string where a list is expected) are for validation to report
+        continue
+      }
+      if (conflict) conflicts.push({ kind: conflict.kind, severity: 'warning', ...conflict })
+    }
   }
 
-  const userMessage = {
-    type: 'user',
-    message: {
-      role: 'user',
-      content: messageContent
+  const dependencies = []
+  const dead = new Set(conflicts.filter(conflict => conflict.dead).map(conflict => conflict.changes[0]))
+
+  for (const step of valid) {
+    const { index, change } = step
+
+    if (step.removedBy !== null && change.type !== 'delete') {
+      dead.add(index)
+      conflicts.push({
+        kind: 'dead',
+        severity: 'warning',
+        changes: [index, step.removedBy],
+        message: `Change ${index} (${change.type}) targets element(s) removed by change ${step.removedBy} (${domChanges[step.removedBy].type})`
+      })
+    }
+
+    // Selectors that only match elements a create adds depend on that create
+    const checks = [{ field: 'selector', selector: change.selector, missing: step.targets.length === 0 }]
+    if (change.targetSelector) {
+      checks.push({ field: 'targetSelector', selector: change.targetSelector, missing: !step.target })
+    }
+    for (const { field, selector, missing } of checks) {
+      if (change.type === 'create' && field === 'selector') continue
+
+      const creators = new Set(queryAll(document, selector).map(element => createdBy.get(element)).filter(creator => creator !== undefined))
+      for (const creator of creators) {
+        if (creator === index) continue
+        const satisfied = creator < index
+        dependencies.push({ change: index, field, dependsOn: creator, satisfied })
+        if (!satisfied && missing) {
+          conflicts.push({
+            kind: 'ordering',
+            severity: 'warning',
+            changes: [index, creator],
+            message: `Change ${index} ${field} "${selector}" only matches an element created by later change ${creator}; move the create before it`
+          })
+        }
+      }
+
+      if (missing && creators.size === 0 && !change.waitForElement && step.removedBy === null) {
+        dead.add(index)
+        conflicts.push({
+          kind: 'dead',
+          severity: 'warning',
+          changes: [index],
+          message: `Change ${index} ${field} "${selector}" does not match any element at that point`
+        })
+      }
     }
   }
 
-  console.log(`[${conversationId}] Sending to Claude:`, JSON.stringify(userMessage).substring(0, 200))
-  claudeProcess.stdin.write(JSON.stringify(userMessage) + '\n')
+  return {
+    conflicts,
+    dependencies,
+    deadChanges: Array.from(dead).sort((a, b) => a - b),
+    summary: {
+      overwrites: conflicts.filter(conflict => conflict.kind === 'overwrite').length,
+      importantOverrides: conflicts.filter(conflict => conflict.kind === 'important_override').length,
+      ordering: conflicts.filter(conflict => conflict.kind === 'ordering').length,
+      dead: dead.size,
+      invalid: conflicts.filter(conflict => conflict.kind === 'invalid').length
+    }
+  }
 }
 
-app.get('/conversations/:id/stream', (req, res) => {
+// Conflict analysis for the given changes, or the conversation's current variant if none are given
+app.post('/conversations/:id/conflicts', (req, res) => {
   const { id } = req.params
+  const { domChanges = getCurrentChanges(id), page } = req.body || {}
 
-  res.setHeader('Content-Type', 'text/event-stream')
-  res.setHeader('Cache-Control', 'no-cache')
-  res.setHeader('Connection', 'keep-alive')
+  if (!Array.isArray(domChanges)) {
+    return res.status(400).json({ error: 'Invalid domChanges array in request body' })
+  }
 
-  activeStreams.set(id, res)
+  const stored = getStoredHtml(id, { page })
+  if (!stored) {
+    return res.status(404).json({ error: missingHtmlError(id, { page }) })
+  }
 
-  req.on('close', () => {
-    activeStreams.delete(id)
-  })
+  try {
+    return res.json(analyzeConflicts(stored.html, domChanges))
+  } catch (error) {
+    return res.status(500).json({ error: `Failed to analyze conflicts: ${error.message}` })
+  }
 })
 
-// Extract a single HTML chunk by selector using jsdom
-function extractChunk(html, selector, dom = null) {
+// Apply DOM changes to a copy of the stored HTML and return the result with a per-change diff
+app.post('/conversations/:id/preview', (req, res) => {
+  const { id } = req.params
+  const { domChanges, page } = req.body
+
+  if (!Array.isArray(domChanges)) {
+    return res.status(400).json({ error: 'Missing or invalid domChanges array in request body' })
+  }
+
+  const stored = getStoredHtml(id, { page })
+  if (!stored) {
+    return res.status(404).json({ error: missingHtmlError(id, { page }) })
+  }
+
   try {
-    // Reuse DOM if provided, otherwise create new one
-    const jsdom = dom || new JSDOM(html)
-    const document = jsdom.window.document
+    return res.json(previewDomChanges(stored.html, domChanges))
+  } catch (error) {
+    return res.status(500).json({ error: `Failed to preview changes: ${error.message}` })
+  }
+})
 
-    const element = document.querySelector(selector)
-    if (element) {
-      return { selector, html: element.outerHTML, found: true }
+// External stylesheets the extension read from the page (<link rel="stylesheet"> isn't fetched by the bridge)
+function normalizeStylesheets(stylesheets) {
+  if (!Array.isArray(stylesheets)) return []
+  return stylesheets
+    .filter(sheet => sheet && typeof sheet.css === 'string')
+    .map(sheet => ({ href: sheet.href || null, css: sheet.css }))
+}
+
+const STATE_PSEUDO_CLASSES = ['hover', 'focus', 'focus-visible', 'focus-within', 'active', 'visited', 'checked', 'disabled', 'target']
+const LEGACY_PSEUDO_ELEMENTS = ['before', 'after', 'first-line', 'first-letter']
+
+// Split on top-level commas only (not inside :is(), :not() or attribute values)
+function splitSelectorList(selectorText) {
+  const parts = []
+  let depth = 0
+  let quote = null
+  let current = ''
+
+  for (const char of selectorText) {
+    if (quote) {
+      if (char === quote) quote = null
+    } else if (char === '"' || char === "'") {
+      quote = char
+    } else if (char === '(' || char === '[') {
+      depth++
+    } else if (char === ')' || char === ']') {
+      depth--
+    } else if (char === ',' && depth === 0) {
+      parts.push(current.trim())
+      current = ''
+      continue
     }
+    current += char
+  }
 
-    return { selector, html: '', found: false, error: `Element not found: ${selector}` }
-  } catch (error) {
-    return { selector, html: '', found: false, error: `Invalid selector: ${error.message}` }
+  if (current.trim()) parts.push(current.trim())
+  return parts
+}
+
+// Index just past the ] that closes the attribute selector starting at start; a quoted value may contain ]
+function attributeSelectorEnd(selector, start) {
+  let quote = null
+  for (let i = start + 1; i < selector.length; i++) {
+    const char = selector[i]
+    if (char === '\\') {
+      i++
+    } else if (quote) {
+      if (char === quote) quote = null
+    } else if (char === '"' || char === "'") {
+      quote = char
+    } else if (char === ']') {
+      return i + 1
+    }
   }
+  return selector.length
 }
 
-// Get HTML chunk(s) by CSS selector(s)
-// GET with single selector: ?selector=.hero
-// GET with multiple selectors: ?selectors=.hero,header,#main
-app.get('/conversations/:id/chunk', (req, res) => {
-  const { id } = req.params
-  const { selector, selectors } = req.query
+// Read a balanced (...) group starting at the opening parenthesis
+function readParenthesized(selector, start) {
+  let depth = 0
+  for (let i = start; i < selector.length; i++) {
+    if (selector[i] === '(') depth++
+    if (selector[i] === ')') depth--
+    if (depth === 0) return { content: selector.slice(start + 1, i), end: i + 1 }
+  }
+  return { content: selector.slice(start + 1), end: selector.length }
+}
 
-  // Support both single selector and multiple selectors
-  let selectorList = []
-  if (selectors) {
-    selectorList = selectors.split(',').map(s => s.trim()).filter(s => s)
-  } else if (selector) {
-    selectorList = [selector]
+// CSS specificity as [ids, classes/attributes/pseudo-classes, types/pseudo-elements]
+function selectorSpecificity(selector) {
+  const specificity = [0, 0, 0]
+  const add = other => other.forEach((value, index) => { specificity[index] += value })
+  const maxOf = list => splitSelectorList(list)
+    .map(selectorSpecificity)
+    .reduce((max, current) => compareSpecificity(current, max) > 0 ? current : max, [0, 0, 0])
+
+  let i = 0
+  while (i < selector.length) {
+    const char = selector[i]
+
+    if (char === '#') {
+      specificity[0]++
+      i = skipIdentifier(selector, i + 1)
+    } else if (char === '.') {
+      specificity[1]++
+      i = skipIdentifier(selector, i + 1)
+    } else if (char === '[') {
+      specificity[1]++
+      i = selector.indexOf(']', i) + 1 || selector.length
+    } else if (char === ':') {
+      const isElement = selector[i + 1] === ':'
+      const nameStart = i + (isElement ? 2 : 1)
+      const nameEnd = skipIdentifier(selector, nameStart)
+      const name = selector.slice(nameStart, nameEnd).toLowerCase()
+      i = nameEnd
+
+      let argument = null
+      if (selector[i] === '(') {
+        const group = readParenthesized(selector, i)
+        argument = group.content
+        i = group.end
+      }
+
+      if (isElement || LEGACY_PSEUDO_ELEMENTS.includes(name)) {
+        specificity[2]++
+      } else if (name === 'where') {
+        // :where() never adds specificity
+      } else if (['is', 'not', 'has', 'matches'].includes(name) && argument !== null) {
+        add(maxOf(argument))
+      } else if ((name === 'nth-child' || name === 'nth-last-child') && argument && / of /.test(argument)) {
+        specificity[1]++
+        add(maxOf(argument.split(/ of /)[1]))
+      } else {
+        specificity[1]++
+      }
+    } else if (/[a-zA-Z_\-\\]/.test(char) || char.charCodeAt(0) > 127) {
+      specificity[2]++
+      i = skipIdentifier(selector, i)
+    } else {
+      // Combinators, whitespace, '*' and '&'
+      i++
+    }
   }
 
-  if (selectorList.length === 0) {
-    return res.status(400).json({ error: 'Missing selector or selectors query parameter' })
+  return specificity
+}
+
+function skipIdentifier(selector, start) {
+  let i = start
+  while (i < selector.length && (/[a-zA-Z0-9_-]/.test(selector[i]) || selector.charCodeAt(i) > 127 || selector[i] === '\\')) {
+    i += selector[i] === '\\' ? 2 : 1
+  }
+  return i
+}
+
+function compareSpecificity(a, b) {
+  for (let i = 0; i < 3; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i]
+  }
+  return 0
+}
+
+// Remove top-level state pseudo-classes and pseudo-elements so the rest can be matched against the static
+// snapshot. Attribute values ([data-x=":hover"]) and arguments (:not(:hover)) keep their text.
+function stripDynamicPseudos(selector) {
+  const states = []
+  let pseudoElement = null
+  let base = ''
+
+  let i = 0
+  while (i < selector.length) {
+    const char = selector[i]
+
+    if (char === '\\') {
+      base += selector.slice(i, i + 2)
+      i += 2
+    } else if (char === '[') {
+      const end = attributeSelectorEnd(selector, i)
+      base += selector.slice(i, end)
+      i = end
+    } else if (char === ':') {
+      const isElement = selector[i + 1] === ':'
+      const nameStart = i + (isElement ? 2 : 1)
+      const nameEnd = skipIdentifier(selector, nameStart)
+      const name = selector.slice(nameStart, nameEnd).toLowerCase()
+      const end = selector[nameEnd] === '(' ? readParenthesized(selector, nameEnd).end : nameEnd
+
+      if (isElement || LEGACY_PSEUDO_ELEMENTS.includes(name)) {
+        pseudoElement = `::${name}${selector.slice(nameEnd, end)}`
+      } else if (STATE_PSEUDO_CLASSES.includes(name)) {
+        states.push(name)
+      } else {
+        base += selector.slice(i, end)
+      }
+      i = end
+    } else {
+      base += char
+      i++
+    }
+  }
+
+  base = base.trim()
+  // "a > :hover" leaves a dangling combinator, which means "any element" there
+  if (!base || /[>+~]$/.test(base)) base = `${base}*`.trim()
+  return { base, states, pseudoElement }
+}
+
+function declarationsOf(style) {
+  const declarations = {}
+  const important = []
+  for (let i = 0; i < style.length; i++) {
+    const property = style[i]
+    declarations[property] = style.getPropertyValue(property)
+    if (style.getPropertyPriority(property) === 'important') {
+      important.push(property)
+    }
+  }
+  return { declarations, important }
+}
+
+// Walk a parsed stylesheet (including @media/@supports/@layer and nested rules) and collect
+// the style rules that match the element, with their conditions
+function collectMatchingRules(rules, element, context, results) {
+  for (const rule of Array.from(rules || [])) {
+    if (rule.selectorText !== undefined && rule.style) {
+      const selectorText = context.parentSelector
+        ? splitSelectorList(rule.selectorText)
+          .map(part => part.includes('&') ? part.replace(/&/g, `:is(${context.parentSelector})`) : `:is(${context.parentSelector}) ${part}`)
+          .join(', ')
+        : rule.selectorText
+
+      for (const selector of splitSelectorList(selectorText)) {
+        const { base, states, pseudoElement } = stripDynamicPseudos(selector)
+        let matches = false
+        try {
+          matches = element.matches(base)
+        } catch (error) {
+          // Selector jsdom can't evaluate
+        }
+        if (!matches) continue
+
+        const { declarations, important } = declarationsOf(rule.style)
+        if (Object.keys(declarations).length === 0) continue
+
+        const entry = {
+          selector,
+          selectorText: rule.selectorText,
+          specificity: selectorSpecificity(selector),
+          states,
+          source: context.source,
+          order: context.counter.next++,
+          declarations,
+          important
+        }
+        if (pseudoElement) entry.pseudoElement = pseudoElement
+        if (context.media.length > 0) entry.media = [...context.media]
+        if (context.supports.length > 0) entry.supports = [...context.supports]
+        if (context.layer) entry.layer = context.layer
+        results.push(entry)
+      }
+
+      if (rule.cssRules && rule.cssRules.length > 0) {
+        collectMatchingRules(rule.cssRules, element, { ...context, parentSelector: rule.selectorText }, results)
+      }
+    } else if (rule.media && rule.cssRules) {
+      collectMatchingRules(rule.cssRules, element, { ...context, media: [...context.media, rule.media.mediaText] }, results)
+    } else if (rule.conditionText !== undefined && rule.cssRules) {
+      collectMatchingRules(rule.cssRules, element, { ...context, supports: [...context.supports, rule.conditionText] }, results)
+    } else if (rule.cssRules) {
+      collectMatchingRules(rule.cssRules, element, { ...context, layer: rule.name || context.layer }, results)
+    }
+  }
+}
+
+// Rules from <style> blocks and extension-provided stylesheets that apply to the first element
+// matching the selector, most specific (winning) rules first
+function inspectStyles(stored, selector, dom = null) {
+  const document = (dom || new JSDOM(stored.html)).window.document
+
+  let element
+  try {
+    element = document.querySelector(selector)
+  } catch (error) {
+    return { selector, found: false, error: `Invalid selector: ${error.message}` }
+  }
+  if (!element) {
+    return { selector, found: false, error: `Element not found: ${selector}` }
+  }
+
+  const sheets = [
+    ...Array.from(document.querySelectorAll('style')).map((style, index) => ({ source: `<style> #${index + 1}`, css: style.textContent })),
+    ...(stored.stylesheets || []).map((sheet, index) => ({ source: sheet.href || `stylesheet #${index + 1}`, css: sheet.css }))
+  ]
+
+  const rules = []
+  const errors = []
+  const counter = { next: 0 }
+  for (const sheet of sheets) {
+    try {
+      const parsed = CSSOM.parse(sheet.css)
+      collectMatchingRules(parsed.cssRules, element, { source: sheet.source, media: [], supports: [], layer: null, parentSelector: null, counter }, rules)
+    } catch (error) {
+      errors.push({ source: sheet.source, error: error.message })
+    }
+  }
+
+  rules.sort((a, b) => compareSpecificity(b.specificity, a.specificity) || b.order - a.order)
+
+  const inline = declarationsOf(element.style)
+  return {
+    selector,
+    found: true,
+    matchCount: document.querySelectorAll(selector).length,
+    tagName: element.tagName.toLowerCase(),
+    inline: {
+      cssText: element.getAttribute('style') || '',
+      declarations: inline.declarations,
+      important: inline.important
+    },
+    rules,
+    ...(errors.length > 0 && { errors })
+  }
+}
+
+// CSS rules that apply to an element: GET ?selector=.cta
+app.get('/conversations/:id/styles', (req, res) => {
+  const { id } = req.params
+  const { selector, page } = req.query
+
+  if (!selector) {
+    return res.status(400).json({ error: 'Missing selector query parameter' })
   }
 
-  const stored = conversationHtml.get(id)
+  const stored = getStoredHtml(id, { page })
   if (!stored) {
-    return res.status(404).json({ error: 'Conversation not found or no HTML stored' })
+    return res.status(404).json({ error: missingHtmlError(id, { page }) })
   }
 
   try {
-    const html = stored.html
-    // Parse DOM once and reuse for all selectors
-    const dom = new JSDOM(html)
-    const results = selectorList.map(sel => extractChunk(html, sel, dom))
+    const result = inspectStyles(stored, selector)
+    if (!result.found) {
+      return res.status(404).json(result)
+    }
+    return res.json(result)
+  } catch (error) {
+    return res.status(500).json({ error: `Failed to inspect styles: ${error.message}` })
+  }
+})
 
-    // For single selector (backward compatibility), return single object
-    if (selectorList.length === 1) {
-      const result = results[0]
-      if (!result.found) {
-        return res.status(404).json(result)
+// CSS.escape (CSSOM spec), which jsdom doesn't provide
+function cssEscape(value) {
+  const string = String(value)
+  let result = ''
+  for (let i = 0; i < string.length; i++) {
+    const char = string[i]
+    const code = string.charCodeAt(i)
+    if (code === 0) {
+      result += '�'
+    } else if ((code >= 0x1 && code <= 0x1f) || code === 0x7f ||
+      (i === 0 && code >= 0x30 && code <= 0x39) ||
+      (i === 1 && code >= 0x30 && code <= 0x39 && string.charCodeAt(0) === 0x2d)) {
+      result += `\\${code.toString(16)} `
+    } else if (i === 0 && string.length === 1 && code === 0x2d) {
+      result += `\\${char}`
+    } else if (code >= 0x80 || code === 0x2d || code === 0x5f || /[0-9A-Za-z]/.test(char)) {
+      result += char
+    } else {
+      result += `\\${char}`
+    }
+  }
+  return result
+}
+
+function cssString(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\a ')}"`
+}
+
+// Hex escapes (leading digits) aren't understood by jsdom's selector engine, so those names use
+// the equivalent attribute selector to keep the uniqueness checks meaningful
+function idSelector(id) {
+  const escaped = cssEscape(id)
+  return /\\[0-9a-f]/i.test(escaped) ? `[id=${cssString(id)}]` : `#${escaped}`
+}
+
+function classSelector(name) {
+  const escaped = cssEscape(name)
+  return /\\[0-9a-f]/i.test(escaped) ? `[class~=${cssString(name)}]` : `.${escaped}`
+}
+
+const MAX_SELECTOR_CLASSES = 6 // Stable classes tried alone and in pairs; more would only add near-duplicate candidates
+const TEST_ATTRIBUTES = ['data-testid', 'data-test-id', 'data-test', 'data-qa', 'data-cy']
+const NAMING_ATTRIBUTES = ['aria-label', 'name', 'title', 'alt', 'placeholder', 'href', 'src', 'for', 'type']
+const SELECTOR_STRATEGY_SCORES = {
+  'test-attribute': 0.95,
+  id: 0.9,
+  aria: 0.8,
+  attribute: 0.75,
+  data: 0.7,
+  class: 0.6,
+  anchored: 0.55,
+  text: 0.5,
+  structural: 0.3
+}
+
+// Build tool output, framework ids and CSS-in-JS hashes change between deploys
+function looksGenerated(value) {
+  return value.length > 40 ||
+    /\d{4,}/.test(value) ||
+    /^(css|sc|jsx|emotion|styled|svelte|ember)-/i.test(value) ||
+    /^:r[0-9a-z]*:$/.test(value) ||
+    /(^|[-_])(?=[a-zA-Z0-9]*\d)(?=[a-zA-Z0-9]*[a-zA-Z])[a-zA-Z0-9]{5,}$/.test(value)
+}
+
+// The only element each selector matches (or null), per document. Inspection routes parse a fresh
+// document per request and don't modify it, so every selector of one request is queried once.
+const uniqueMatches = new WeakMap()
+
+function onlyMatch(document, key, query) {
+  if (!uniqueMatches.has(document)) uniqueMatches.set(document, new Map())
+  const cache = uniqueMatches.get(document)
+  if (!cache.has(key)) {
+    let only = null
+    try {
+      only = query()
+    } catch (error) {
+      only = null
+    }
+    cache.set(key, only)
+  }
+  return cache.get(key)
+}
+
+function matchesOnly(document, selector, element) {
+  return onlyMatch(document, `css:${selector}`, () => {
+    const matches = document.querySelectorAll(selector)
+    return matches.length === 1 ? matches[0] : null
+  }) === element
+}
+
+function xpathMatchesOnly(document, xpath, element) {
+  return onlyMatch(document, `xpath:${xpath}`, () => {
+    const window = document.defaultView
+    const result = document.evaluate(xpath, document, null, window.XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null)
+    return result.snapshotLength === 1 ? result.snapshotItem(0) : null
+  }) === element
+}
+
+function xpathLiteral(value) {
+  if (!value.includes("'")) return `'${value}'`
+  if (!value.includes('"')) return `"${value}"`
+  return `concat('${value.split("'").join(`', "'", '`)}')`
+}
+
+// Selectors that identify an element on their own, without its position in the page
+function ownSelectors(element) {
+  const tagName = element.tagName.toLowerCase()
+  const candidates = []
+  const add = (strategy, selector, generated = false) => candidates.push({ strategy, selector, generated })
+
+  for (const attribute of TEST_ATTRIBUTES) {
+    const value = element.getAttribute(attribute)
+    if (value) add('test-attribute', `[${attribute}=${cssString(value)}]`, looksGenerated(value))
+  }
+  if (element.id) {
+    add('id', idSelector(element.id), looksGenerated(element.id))
+  }
+  for (const attribute of NAMING_ATTRIBUTES) {
+    const value = element.getAttribute(attribute)
+    if (value && value.length <= 80) {
+      add(attribute === 'aria-label' ? 'aria' : 'attribute', `${tagName}[${attribute}=${cssString(value)}]`, looksGenerated(value))
+    }
+  }
+  for (const { name, value } of Array.from(element.attributes)) {
+    if (name.startsWith('data-') && !TEST_ATTRIBUTES.includes(name) && value && value.length <= 40) {
+      add('data', `${tagName}[${name}=${cssString(value)}]`, looksGenerated(value))
+    }
+  }
+
+  const classes = Array.from(element.classList).filter(name => !looksGenerated(name)).slice(0, MAX_SELECTOR_CLASSES)
+  for (const name of classes) {
+    add('class', `${tagName}${classSelector(name)}`)
+  }
+  for (let i = 0; i < classes.length; i++) {
+    for (let j = i + 1; j < classes.length; j++) {
+      add('class', `${tagName}${classSelector(classes[i])}${classSelector(classes[j])}`)
+    }
+  }
+
+  return candidates
+}
+
+// Step from a parent to this element: tag, with :nth-of-type when siblings share the tag.
+// Sibling links, because reading jsdom's children collection is slow on long lists.
+function structuralStep(element) {
+  const tagName = element.tagName.toLowerCase()
+  if (!element.parentElement) return tagName
+
+  let index = 1
+  for (let sibling = element.previousElementSibling; sibling; sibling = sibling.previousElementSibling) {
+    if (sibling.tagName === element.tagName) index++
+  }
+  let shared = index > 1
+  for (let sibling = element.nextElementSibling; sibling && !shared; sibling = sibling.nextElementSibling) {
+    shared = sibling.tagName === element.tagName
+  }
+  return shared ? `${tagName}:nth-of-type(${index})` : tagName
+}
+
+function scoreSelector(strategy, selector, generated) {
+  const positional = (selector.match(/:nth-of-type/g) || []).length
+  const combinators = (selector.match(/ > | /g) || []).length
+  const score = SELECTOR_STRATEGY_SCORES[strategy] - (generated ? 0.4 : 0) - 0.1 * positional - 0.03 * combinators
+  return Math.max(0.05, Number(score.toFixed(2)))
+}
+
+// Ranked selector candidates for an element. Every candidate is checked to match only this element
+// in the snapshot; the score estimates how likely it is to keep working as the page changes.
+// `text: false` skips the text XPath, which evaluates over the whole page.
+function suggestSelectors(element, maxCandidates = 5, { text: withText = true } = {}) {
+  const document = element.ownerDocument
+  const candidates = []
+  const seen = new Set()
+  const add = (strategy, selector, generated = false, extra = {}) => {
+    const key = selector || extra.xpath
+    if (seen.has(key)) return
+    seen.add(key)
+    candidates.push({ strategy, selector, ...extra, score: scoreSelector(strategy, selector || '', generated), unique: true })
+  }
+
+  for (const candidate of ownSelectors(element)) {
+    if (matchesOnly(document, candidate.selector, element)) {
+      add(candidate.strategy, candidate.selector, candidate.generated)
+    }
+  }
+
+  // Anchored: the nearest ancestor with a selector of its own, then the shortest path down from it
+  let anchor = null
+  for (let current = element.parentElement; current && current !== document.body && !anchor; current = current.parentElement) {
+    const own = ownSelectors(current).find(candidate => !candidate.generated && candidate.strategy !== 'class' && matchesOnly(document, candidate.selector, current))
+    if (own) anchor = { element: current, selector: own.selector }
+  }
+  if (anchor) {
+    const tagName = element.tagName.toLowerCase()
+    const stableClasses = Array.from(element.classList).filter(name => !looksGenerated(name)).map(classSelector)
+    const descendant = [`${anchor.selector} ${tagName}${stableClasses.slice(0, 1).join('')}`, `${anchor.selector} ${tagName}`]
+    const found = descendant.find(selector => matchesOnly(document, selector, element))
+    if (found) {
+      add('anchored', found)
+    } else {
+      const steps = []
+      for (let current = element; current !== anchor.element; current = current.parentElement) {
+        steps.unshift(structuralStep(current))
       }
-      return res.json(result)
+      add('anchored', `${anchor.selector} > ${steps.join(' > ')}`)
     }
+  }
 
-    // For multiple selectors, return array
-    return res.json({ results })
-  } catch (error) {
-    return res.status(500).json({ error: `Failed to extract chunk: ${error.message}` })
+  // Text-anchored: CSS can't match on text, so this one is an XPath
+  const text = withText ? normalizeText(element.textContent) : ''
+  if (text && text.length <= 60) {
+    const xpath = `//${element.tagName.toLowerCase()}[normalize-space(.)=${xpathLiteral(text)}]`
+    if (xpathMatchesOnly(document, xpath, element)) {
+      add('text', null, false, { xpath })
+    }
   }
-})
 
-// POST endpoint for multiple selectors (preferred for complex requests)
-app.post('/conversations/:id/chunks', (req, res) => {
+  // Structural: nth-of-type path from <body>, always unique
+  const steps = []
+  for (let current = element; current && current !== document.documentElement; current = current.parentElement) {
+    steps.unshift(structuralStep(current))
+    if (current === document.body) break
+  }
+  add('structural', steps.join(' > ') || 'html')
+
+  return candidates.sort((a, b) => b.score - a.score).slice(0, maxCandidates)
+}
+
+// Best CSS selector for an element. Selectors of its own outrank anchored and structural ones,
+// so those are only worked out when none of its own is unique.
+function generateSelector(element) {
+  const document = element.ownerDocument
+  const own = ownSelectors(element)
+    .map(candidate => ({ ...candidate, score: scoreSelector(candidate.strategy, candidate.selector, candidate.generated) }))
+    .sort((a, b) => b.score - a.score)
+    .find(candidate => candidate.score > SELECTOR_STRATEGY_SCORES.anchored && matchesOnly(document, candidate.selector, element))
+  if (own) {
+    return own.selector
+  }
+  return suggestSelectors(element, Infinity, { text: false }).find(candidate => candidate.selector).selector
+}
+
+// Selector suggestions for the elements matching { selector } or { xpath }
+app.post('/conversations/:id/selectors/suggest', (req, res) => {
   const { id } = req.params
-  const { selectors } = req.body
+  const { selector, xpath, maxCandidates = 5, maxElements = 10, page } = req.body || {}
 
-  if (!selectors || !Array.isArray(selectors) || selectors.length === 0) {
-    return res.status(400).json({ error: 'Missing or invalid selectors array in request body' })
+  if (!selector && !xpath) {
+    return res.status(400).json({ error: 'Missing selector or xpath in request body' })
+  }
+  for (const [name, value] of Object.entries({ maxCandidates, maxElements })) {
+    if (!Number.isInteger(value) || value <= 0) {
+      return res.status(400).json({ error: `${name} must be a positive integer` })
+    }
   }
 
-  const stored = conversationHtml.get(id)
+  const stored = getStoredHtml(id, { page })
   if (!stored) {
-    return res.status(404).json({ error: 'Conversation not found or no HTML stored' })
+    return res.status(404).json({ error: missingHtmlError(id, { page }) })
   }
 
+  let elements
+  const dom = new JSDOM(stored.html)
+  const document = dom.window.document
   try {
-    const html = stored.html
-    // Parse DOM once and reuse for all selectors
-    const dom = new JSDOM(html)
-    const results = selectors.map(sel => extractChunk(html, sel, dom))
-    return res.json({ results })
+    if (selector) {
+      elements = Array.from(document.querySelectorAll(selector))
+    } else {
+      const result = document.evaluate(xpath, document, null, dom.window.XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null)
+      elements = []
+      for (let i = 0; i < result.snapshotLength; i++) {
+        const node = result.snapshotItem(i)
+        const element = node.nodeType === dom.window.Node.ELEMENT_NODE ? node : node.parentElement
+        if (element && !elements.includes(element)) elements.push(element)
+      }
+    }
   } catch (error) {
-    return res.status(500).json({ error: `Failed to extract chunks: ${error.message}` })
+    return res.status(400).json({ error: `Invalid ${selector ? 'selector' : 'XPath'}: ${error.message}` })
+  }
+
+  try {
+    const results = elements.slice(0, maxElements).map(element => ({
+      tagName: element.tagName.toLowerCase(),
+      html: snippet(element),
+      candidates: suggestSelectors(element, maxCandidates)
+    }))
+    return res.json({ matchCount: elements.length, elements: results, found: results.length > 0 })
+  } catch (error) {
+    return res.status(500).json({ error: `Failed to suggest selectors: ${error.message}` })
   }
 })
 
@@ -598,37 +4130,6 @@ function executeXPath(html, xpath, maxResults = 10, dom = null) {
     const document = jsdom.window.document
     const window = jsdom.window
 
-    // Helper to generate a CSS selector for an element
-    const generateSelector = (element) => {
-      if (element.id) {
-        return `#${element.id}`
-      }
-
-      const tagName = element.tagName.toLowerCase()
-      const classes = Array.from(element.classList || []).filter(c => c && !c.includes(':'))
-
-      if (classes.length > 0) {
-        const classSelector = `${tagName}.${classes.slice(0, 2).join('.')}`
-        if (document.querySelectorAll(classSelector).length === 1) {
-          return classSelector
-        }
-      }
-
-      const parent = element.parentElement
-      if (parent) {
-        const siblings = Array.from(parent.children).filter(c => c.tagName === element.tagName)
-        if (siblings.length > 1) {
-          const index = siblings.indexOf(element) + 1
-          const parentSelector = generateSelector(parent)
-          return `${parentSelector} > ${tagName}:nth-of-type(${index})`
-        }
-        const parentSelector = generateSelector(parent)
-        return `${parentSelector} > ${tagName}`
-      }
-
-      return tagName
-    }
-
     const matches = []
     const xpathResult = document.evaluate(
       xpath,
@@ -678,15 +4179,15 @@ function executeXPath(html, xpath, maxResults = 10, dom = null) {
 // XPath query endpoint
 app.post('/conversations/:id/xpath', (req, res) => {
   const { id } = req.params
-  const { xpath, maxResults = 10 } = req.body
+  const { xpath, maxResults = 10, page, snapshot } = req.body
 
   if (!xpath) {
     return res.status(400).json({ error: 'Missing xpath in request body' })
   }
 
-  const stored = conversationHtml.get(id)
+  const stored = getStoredHtml(id, { page, snapshot })
   if (!stored) {
-    return res.status(404).json({ error: 'Conversation not found or no HTML stored' })
+    return res.status(404).json({ error: missingHtmlError(id, { page, snapshot }) })
   }
 
   try {
@@ -700,26 +4201,556 @@ app.post('/conversations/:id/xpath', (req, res) => {
   }
 })
 
+const LANDMARK_TAGS = new Set(['header', 'nav', 'main', 'aside', 'footer', 'section', 'article', 'form', 'dialog'])
+const LANDMARK_ROLES = new Set(['banner', 'navigation', 'main', 'complementary', 'contentinfo', 'region', 'search', 'form', 'dialog'])
+const OUTLINE_SKIP_TAGS = new Set(['script', 'style', 'noscript', 'template', 'link', 'meta', 'svg', 'iframe', 'head'])
+const DEFAULT_OUTLINE_DEPTH = 4
+const DEFAULT_OUTLINE_MAX_CHARS = 4000
+
+function truncateText(text, maxLength) {
+  const normalized = normalizeText(text)
+  return normalized.length > maxLength ? `${normalized.slice(0, maxLength - 1)}…` : normalized
+}
+
+function accessibleName(element, maxLength = 60) {
+  const image = element.querySelector('img[alt]')
+  return truncateText(
+    element.getAttribute('aria-label') || normalizeText(element.textContent) || element.getAttribute('title') ||
+      element.getAttribute('value') || (image && image.getAttribute('alt')) || '',
+    maxLength
+  )
+}
+
+// Tag plus classes; children sharing one are items of a repeated list
+// Tag plus sorted classes, escaped so that classes like `md:flex` or `w-1.5` can't run into each other
+function elementSignature(element) {
+  return element.tagName.toLowerCase() + Array.from(element.classList).sort().map(classSelector).join('')
+}
+
+function repeatedChildren(element) {
+  const children = Array.from(element.children)
+  if (children.length < 3) return null
+
+  const groups = new Map()
+  for (const child of children) {
+    const signature = elementSignature(child)
+    groups.set(signature, (groups.get(signature) || []).concat(child))
+  }
+  const [signature, items] = Array.from(groups.entries()).sort((a, b) => b[1].length - a[1].length)[0]
+  return items.length >= 3 && items.length * 2 >= children.length ? { signature, items } : null
+}
+
+function outlineItem(element) {
+  const tagName = element.tagName.toLowerCase()
+  const role = element.getAttribute('role')
+
+  if (/^h[1-6]$/.test(tagName)) {
+    return { type: 'heading', label: `${tagName} "${accessibleName(element)}"` }
+  }
+  if (tagName === 'img') {
+    const alt = element.getAttribute('alt')
+    return { type: 'image', label: alt ? `img "${truncateText(alt, 60)}"` : 'img (no alt)' }
+  }
+  if (tagName === 'button' || role === 'button' || (tagName === 'input' && ['submit', 'button', 'reset'].includes(element.type))) {
+    return { type: 'button', label: `button "${accessibleName(element)}"` }
+  }
+  if (tagName === 'a' && element.hasAttribute('href')) {
+    return { type: 'link', label: `link "${accessibleName(element)}" → ${truncateText(element.getAttribute('href'), 60)}` }
+  }
+  if (tagName === 'form' || role === 'search') {
+    const fields = Array.from(element.querySelectorAll('input:not([type=hidden]):not([type=submit]):not([type=button]), select, textarea'))
+      .map(field => field.getAttribute('name') || field.id || field.getAttribute('type') || field.tagName.toLowerCase())
+    const name = element.getAttribute('aria-label') || element.getAttribute('name') || ''
+    return { type: 'form', container: true, label: `form${name ? ` "${truncateText(name, 60)}"` : ''} (${fields.join(', ') || 'no fields'})` }
+  }
+  if (LANDMARK_ROLES.has(role) || (LANDMARK_TAGS.has(tagName) && (tagName !== 'section' || element.hasAttribute('aria-label') || element.id))) {
+    const name = element.getAttribute('aria-label')
+    return { type: 'landmark', container: true, label: `${role || tagName}${name ? ` "${truncateText(name, 60)}"` : ''}` }
+  }
+
+  const repeated = repeatedChildren(element)
+  if (repeated) {
+    const samples = repeated.items.slice(0, 3).map(item => `"${accessibleName(item, 30)}"`).filter(sample => sample !== '""')
+    return {
+      type: 'list',
+      label: `list ${repeated.items.length}× ${repeated.signature}${samples.length > 0 ? `: ${samples.join(', ')}${repeated.items.length > 3 ? ', …' : ''}` : ''}`,
+      count: repeated.items.length,
+      itemSelector: `${generateSelector(element)} > ${repeated.signature}`
+    }
+  }
+
+  return null
+}
+
+// Compact skeleton of the page: landmarks, headings, forms, buttons, links, images and repeated lists.
+// Landmarks and forms nest up to `depth` levels; deeper levels are dropped first to fit `maxChars`.
+function buildOutline(html, depth = DEFAULT_OUTLINE_DEPTH, maxChars = DEFAULT_OUTLINE_MAX_CHARS, dom = null) {
+  const jsdom = dom || new JSDOM(html)
+  const document = jsdom.window.document
+  const items = []
+
+  const walk = (element, level) => {
+    for (const child of element.children) {
+      const tagName = child.tagName.toLowerCase()
+      if (OUTLINE_SKIP_TAGS.has(tagName) || child.hidden || child.getAttribute('aria-hidden') === 'true') continue
+
+      const item = outlineItem(child)
+      if (!item) {
+        walk(child, level)
+        continue
+      }
+
+      const { container, ...rest } = item
+      items.push({ ...rest, level, selector: generateSelector(child) })
+      if (container && level < depth) {
+        walk(child, level + 1)
+      }
+    }
+  }
+  walk(document.body || document.documentElement, 0)
+
+  const format = item => `${'  '.repeat(item.level)}${item.label} {${item.selector}}`
+  let effectiveDepth = depth
+  let visible = items
+  let outline = visible.map(format).join('\n')
+  while (outline.length > maxChars && effectiveDepth > 0) {
+    effectiveDepth--
+    visible = items.filter(item => item.level <= effectiveDepth)
+    outline = visible.map(format).join('\n')
+  }
+
+  let truncated = visible.length < items.length
+  if (outline.length > maxChars) {
+    const lines = []
+    let length = 0
+    for (const item of visible) {
+      const line = format(item)
+      if (length + line.length + 1 > maxChars) break
+      lines.push(line)
+      length += line.length + 1
+    }
+    visible = visible.slice(0, lines.length)
+    outline = lines.join('\n')
+    truncated = true
+  }
+
+  return {
+    outline,
+    items: visible,
+    totalItems: items.length,
+    depth: effectiveDepth,
+    chars: outline.length,
+    truncated
+  }
+}
+
+// Page outline for the first prompt: GET ?depth=4&maxChars=4000
+app.get('/conversations/:id/outline', (req, res) => {
+  const { id } = req.params
+  const { page } = req.query
+  const depth = req.query.depth !== undefined ? parseInt(req.query.depth, 10) : DEFAULT_OUTLINE_DEPTH
+  const maxChars = req.query.maxChars !== undefined ? parseInt(req.query.maxChars, 10) : DEFAULT_OUTLINE_MAX_CHARS
+
+  if (!Number.isInteger(depth) || depth < 0) {
+    return res.status(400).json({ error: 'depth must be a non-negative integer' })
+  }
+  if (!Number.isInteger(maxChars) || maxChars <= 0) {
+    return res.status(400).json({ error: 'maxChars must be a positive integer' })
+  }
+
+  const stored = getStoredHtml(id, { page })
+  if (!stored) {
+    return res.status(404).json({ error: missingHtmlError(id, { page }) })
+  }
+
+  try {
+    return res.json(buildOutline(stored.html, depth, maxChars))
+  } catch (error) {
+    return res.status(500).json({ error: `Failed to build outline: ${error.message}` })
+  }
+})
+
+const INTERACTIVE_SELECTOR = 'a[href], button, [role=button], [role=link], [role=tab], [role=menuitem], label, summary, option'
+const SEARCHABLE_ATTRIBUTES = ['aria-label', 'alt', 'title', 'placeholder', 'value']
+const MAX_SEARCH_QUERY_LENGTH = 500
+const SEARCH_TIMEOUT_MS = 2000 // A pattern that backtracks for longer is aborted instead of blocking the server
+const MAX_TEXT_MATCHES = 1000 // Text matches looked at per search; attribute matches are one per value
+
+function implicitRole(element) {
+  const tagName = element.tagName.toLowerCase()
+  if (element.getAttribute('role')) return element.getAttribute('role')
+  if (/^h[1-6]$/.test(tagName)) return 'heading'
+  if (tagName === 'a') return element.hasAttribute('href') ? 'link' : null
+  if (tagName === 'input') {
+    const type = (element.getAttribute('type') || 'text').toLowerCase()
+    if (['submit', 'button', 'reset', 'image'].includes(type)) return 'button'
+    if (type === 'checkbox' || type === 'radio') return type
+    return 'textbox'
+  }
+  const roles = {
+    button: 'button', img: 'img', nav: 'navigation', main: 'main', header: 'banner', footer: 'contentinfo',
+    aside: 'complementary', form: 'form', ul: 'list', ol: 'list', li: 'listitem', textarea: 'textbox',
+    select: 'combobox', table: 'table', dialog: 'dialog', article: 'article', section: 'region'
+  }
+  return roles[tagName] || null
+}
+
+function excerptAround(text, index, length, radius = 60) {
+  const start = Math.max(0, index - radius)
+  const end = Math.min(text.length, index + length + radius)
+  return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`
+}
+
+function isHiddenElement(element) {
+  return OUTLINE_SKIP_TAGS.has(element.tagName.toLowerCase()) || element.hasAttribute('hidden') ||
+    /(^|;)\s*display\s*:\s*none/i.test(element.getAttribute('style') || '')
+}
+
+// Whitespace-normalized visible text of the whole page in one string, with the [start, end) range of
+// every element in it. Hidden subtrees are left out. Each text node is read once, however deep it is.
+function collectVisibleText(root) {
+  let text = ''
+  const ranges = new Map()
+  const textNodes = [] // [offset, node] in document order, to find the node a match starts in
+
+  const visit = element => {
+    const start = text.length
+    // Sibling links, because iterating jsdom's live childNodes is slow on long lists
+    for (let node = element.firstChild; node; node = node.nextSibling) {
+      if (node.nodeType === 3) {
+        let value = node.textContent.replace(/\s+/g, ' ')
+        if (text.length === 0 || text.endsWith(' ')) value = value.replace(/^ /, '')
+        if (!value) continue
+        textNodes.push([text.length, node])
+        text += value
+      } else if (node.nodeType === 1 && !isHiddenElement(node)) {
+        visit(node)
+      }
+    }
+    ranges.set(element, [start, text.length])
+  }
+  visit(root)
+
+  return { text, ranges, textNodes }
+}
+
+// Runs the pattern over the page text and attribute values in a separate context, so a pattern with
+// catastrophic backtracking times out instead of hanging the server. Returns [index, length] pairs.
+function findPatternMatches(source, flags, text, values) {
+  const script = new vm.Script(`(() => {
+    const pattern = new RegExp(source, flags + 'g')
+    const textMatches = []
+    let match
+    while (textMatches.length < maxTextMatches && (match = pattern.exec(text))) {
+      textMatches.push([match.index, match[0].length])
+      if (match[0].length === 0) pattern.lastIndex++
+    }
+    const valueMatches = values.map(value => {
+      pattern.lastIndex = 0
+      const found = pattern.exec(value)
+      return found ? [found.index, found[0].length] : null
+    })
+    return JSON.stringify({ textMatches, valueMatches })
+  })()`)
+  const context = vm.createContext({ source, flags, text, values, maxTextMatches: MAX_TEXT_MATCHES })
+  return JSON.parse(script.runInContext(context, { timeout: SEARCH_TIMEOUT_MS }))
+}
+
+// Find elements by visible text or attribute text. Text matches are reported on the innermost element that
+// contains them, lifted to the enclosing tag/role filter match or, without filters, the enclosing control.
+function searchElements(html, options, dom = null) {
+  const { query, regex = false, caseSensitive = false, tag, role, maxResults = 10 } = options
+  const jsdom = dom || new JSDOM(html)
+  const document = jsdom.window.document
+
+  const source = regex
+    ? query
+    : normalizeText(query).replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/ /g, '\\s+')
+  const flags = caseSensitive ? '' : 'i'
+  const wanted = normalizeText(query).toLowerCase()
+
+  const matchesFilters = element =>
+    (!tag || element.tagName.toLowerCase() === tag.toLowerCase()) && (!role || implicitRole(element) === role)
+
+  const lift = element => {
+    if (tag || role) {
+      for (let current = element; current; current = current.parentElement) {
+        if (matchesFilters(current)) return current
+      }
+      return null
+    }
+    return element.closest(INTERACTIVE_SELECTOR) || element
+  }
+
+  const score = (element, text, matchedText) => {
+    const matched = matchedText.toLowerCase()
+    let value = 1
+    if (text.toLowerCase() === (regex ? matched : wanted)) {
+      value = 3
+    } else if (new RegExp(`(^|\\W)${matched.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}($|\\W)`).test(text.toLowerCase())) {
+      value = 2
+    }
+    if (element.matches(INTERACTIVE_SELECTOR)) value += 1
+    // Prefer tight matches over long blocks of text that happen to contain the query
+    return Number((value + matched.length / Math.max(text.length, 1)).toFixed(3))
+  }
+
+  const found = new Map()
+  const consider = (element, text, matchedIn, index, length) => {
+    const target = lift(element)
+    if (!target) return
+    const value = score(target, text, text.slice(index, index + length))
+    const existing = found.get(target)
+    if (existing && existing.score >= value) return
+    found.set(target, {
+      element: target,
+      matchedIn,
+      score: value,
+      excerpt: excerptAround(text, index, length)
+    })
+  }
+
+  const root = document.body || document.documentElement
+  const { text, ranges, textNodes } = collectVisibleText(root)
+  const attributes = []
+  for (const element of ranges.keys()) {
+    for (const attribute of SEARCHABLE_ATTRIBUTES) {
+      const value = element.getAttribute(attribute)
+      if (value) attributes.push({ element, attribute, value: normalizeText(value) })
+    }
+  }
+
+  const { textMatches, valueMatches } = findPatternMatches(source, flags, text, attributes.map(({ value }) => value))
+
+  // Each text match goes to the innermost element whose range covers it
+  for (const [index, length] of textMatches) {
+    let low = 0
+    let high = textNodes.length - 1
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2)
+      if (textNodes[middle][0] <= index) low = middle
+      else high = middle - 1
+    }
+
+    let element = textNodes[low][1].parentElement
+    while (element !== root && ranges.get(element)[1] < index + length) {
+      element = element.parentElement
+    }
+    const [start, end] = ranges.get(element)
+    const elementText = text.slice(start, end)
+    const trimmed = elementText.trim()
+    const offset = Math.max(index - start - (elementText.length - elementText.trimStart().length), 0)
+    consider(element, trimmed, 'text', offset, Math.min(length, trimmed.length - offset))
+  }
+  attributes.forEach(({ element, attribute, value }, i) => {
+    if (valueMatches[i]) consider(element, value, attribute, ...valueMatches[i])
+  })
+
+  const ranked = Array.from(found.values()).sort((a, b) => b.score - a.score)
+  const matches = ranked.slice(0, maxResults).map(({ element, matchedIn, score, excerpt }) => ({
+    selector: generateSelector(element),
+    tagName: element.tagName.toLowerCase(),
+    role: implicitRole(element),
+    matchedIn,
+    score,
+    text: excerpt,
+    html: snippet(element, 1000),
+    context: element.parentElement ? snippet(element.parentElement, 2000) : null
+  }))
+
+  return { query, regex, matches, total: ranked.length, found: matches.length > 0 }
+}
+
+// Text search: POST { query, regex?, caseSensitive?, tag?, role?, maxResults? }
+app.post('/conversations/:id/search', (req, res) => {
+  const { id } = req.params
+  const { query, regex = false, caseSensitive = false, tag, role, maxResults = 10, page } = req.body || {}
+
+  if (typeof query !== 'string' || !query.trim()) {
+    return res.status(400).json({ error: 'Missing query in request body' })
+  }
+  if (query.length > MAX_SEARCH_QUERY_LENGTH) {
+    return res.status(400).json({ error: `query must be at most ${MAX_SEARCH_QUERY_LENGTH} characters` })
+  }
+
+  if (regex) {
+    try {
+      new RegExp(query)
+    } catch (error) {
+      return res.status(400).json({ error: `Invalid regex: ${error.message}` })
+    }
+  }
+
+  const stored = getStoredHtml(id, { page })
+  if (!stored) {
+    return res.status(404).json({ error: missingHtmlError(id, { page }) })
+  }
+
+  try {
+    return res.json(searchElements(stored.html, { query, regex, caseSensitive, tag, role, maxResults }))
+  } catch (error) {
+    if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      return res.status(400).json({ error: `Search pattern took longer than ${SEARCH_TIMEOUT_MS}ms; simplify the regex` })
+    }
+    return res.status(500).json({ error: `Failed to search: ${error.message}` })
+  }
+})
+
 // Refresh stored HTML for a conversation
 app.post('/conversations/:id/refresh', (req, res) => {
   const { id } = req.params
-  const { html } = req.body
+  const { html, stylesheets, page, url, viewport, label } = req.body
 
   if (!html) {
     return res.status(400).json({ error: 'Missing html in request body' })
   }
 
-  const existing = conversationHtml.get(id)
-  if (!existing) {
+  if (!conversationExists(id)) {
     return res.status(404).json({ error: 'Conversation not found' })
   }
 
-  conversationHtml.set(id, {
-    html,
-    timestamp: Date.now()
+  // Conversations started without HTML get their page history with the first refresh
+  const snapshot = addSnapshot(id, { html, stylesheets, page, url, viewport, label })
+
+  persistConversation(id)
+  console.log(`🔄 Refreshed HTML for conversation ${id} (${html.length} chars, page ${snapshot.page}, snapshot ${snapshot.snapshot})`)
+  res.json({ success: true, snapshot: snapshot.snapshot, page: snapshot.page })
+})
+
+// Stored page contexts; `current` is the default for routes called without `page`
+app.get('/conversations/:id/pages', (req, res) => {
+  const { id } = req.params
+
+  const history = conversationHtml.get(id)
+  if (!history) {
+    return res.status(404).json({ error: 'Conversation not found or no HTML stored' })
+  }
+  res.json({ current: currentPage(history).page, pages: history.pages.map(pageInfo) })
+})
+
+// Numbered page snapshots, oldest first (?page= for one page only)
+app.get('/conversations/:id/snapshots', (req, res) => {
+  const { id } = req.params
+  const { page } = req.query
+
+  const history = conversationHtml.get(id)
+  if (!history) {
+    return res.status(404).json({ error: 'Conversation not found or no HTML stored' })
+  }
+
+  const pages = isSet(page) ? [findPage(history, page)].filter(Boolean) : history.pages
+  if (pages.length === 0) {
+    return res.status(404).json({ error: missingHtmlError(id, { page }) })
+  }
+  const snapshots = pages.flatMap(entry => entry.snapshots).sort((a, b) => a.snapshot - b.snapshot)
+  res.json({ snapshots: snapshots.map(snapshotInfo) })
+})
+
+// Structural diff between two snapshots: ?from=&to=, defaulting to the latest one of the page
+// (?page=, or the current one) and the snapshot of the same page before it. Snapshots of different pages can be compared.
+app.get('/conversations/:id/snapshots/diff', (req, res) => {
+  const { id } = req.params
+  const { page, maxEntries = 200 } = req.query
+
+  const history = conversationHtml.get(id)
+  if (!history) {
+    return res.status(404).json({ error: 'Conversation not found or no HTML stored' })
+  }
+
+  const to = getStoredHtml(id, { page, snapshot: req.query.to })
+  if (!to) {
+    return res.status(404).json({ error: missingHtmlError(id, { page, snapshot: req.query.to }) })
+  }
+  const toSnapshots = history.pages.find(entry => entry.page === to.page).snapshots
+  const from = isSet(req.query.from)
+    ? getStoredHtml(id, { snapshot: req.query.from })
+    : toSnapshots[toSnapshots.indexOf(to) - 1]
+  if (!from) {
+    return res.status(404).json({ error: isSet(req.query.from) ? missingHtmlError(id, { snapshot: req.query.from }) : `No snapshot before ${to.snapshot}` })
+  }
+
+  try {
+    const diff = diffElementTrees(
+      new JSDOM(from.html).window.document.documentElement,
+      new JSDOM(to.html).window.document.documentElement
+    )
+    const summary = { added: 0, removed: 0, changed: 0, moved: 0 }
+    for (const entry of diff) {
+      summary[entry.op]++
+    }
+    const limit = parseInt(maxEntries, 10) || 200
+    return res.json({
+      from: snapshotInfo(from),
+      to: snapshotInfo(to),
+      summary,
+      diff: diff.slice(0, limit),
+      truncated: diff.length > limit
+    })
+  } catch (error) {
+    return res.status(500).json({ error: `Failed to diff snapshots: ${error.message}` })
+  }
+})
+
+app.get('/conversations/:id/usage', (req, res) => {
+  const { id } = req.params
+  if (!conversationExists(id)) {
+    return res.status(404).json({ error: 'Conversation not found' })
+  }
+
+  const usage = conversationUsage.get(id) || emptyConversationUsage()
+  res.json({
+    conversationId: id,
+    total: usage.total,
+    turns: usage.turns,
+    inProgress: usage.current,
+    budget: budgetStatus(id)
+  })
+})
+
+app.put('/conversations/:id/budget', (req, res) => {
+  const { id } = req.params
+  if (!conversationExists(id)) {
+    return res.status(404).json({ error: 'Conversation not found' })
+  }
+
+  const budget = req.body
+  const budgetError = validateBudget(budget)
+  if (budgetError) {
+    return res.status(400).json({ error: budgetError })
+  }
+
+  setConversationBudget(id, budget)
+  persistConversation(id)
+  res.json({ success: true, budget: conversationBudgets.get(id) || null, status: budgetStatus(id) })
+})
+
+app.post('/conversations/:id/cancel', (req, res) => {
+  const { id } = req.params
+  const { clearQueue = false } = req.body || {}
+
+  if (!claudeProcesses.has(id)) {
+    return res.status(400).json({
+      error: 'Claude CLI not started'
+    })
+  }
+
+  const result = cancelTurn(id, clearQueue)
+  res.json({
+    success: true,
+    ...result,
+    queue: getQueueStatus(id)
   })
+})
+
+app.delete('/conversations/:id', (req, res) => {
+  const { id } = req.params
 
-  console.log(`🔄 Refreshed HTML for conversation ${id} (${html.length} chars)`)
+  if (!conversationExists(id)) {
+    return res.status(404).json({ error: 'Conversation not found' })
+  }
+
+  purgeConversation(id)
+  console.log(`🗑️ Deleted conversation ${id}`)
   res.json({ success: true })
 })
 
@@ -727,18 +4758,27 @@ app.post('/conversations/:id/approve', (req, res) => {
   const { id } = req.params
   const { requestId, data } = req.body
 
-  if (!claudeProcess) {
+  if (!claudeProcesses.has(id)) {
     return res.status(400).json({
       error: 'Claude CLI not started'
     })
   }
 
-  claudeProcess.stdin.write(JSON.stringify({
-    type: 'control',
-    action: 'approve',
-    requestId,
-    data
-  }) + '\n')
+  if (!requestId) {
+    return res.status(400).json({ error: 'Missing requestId in request body' })
+  }
+
+  const pending = pendingPermissions.get(id)
+  const request = pending && pending.get(requestId)
+  if (!request) {
+    return res.status(404).json({ error: `No pending permission request ${requestId}` })
+  }
+
+  console.log(`[${id}] ✅ Approved ${request.toolName} (request ${requestId})`)
+  resolvePermission(id, requestId, {
+    behavior: 'allow',
+    updatedInput: data || request.input
+  })
 
   res.json({
     success: true
@@ -749,18 +4789,27 @@ app.post('/conversations/:id/deny', (req, res) => {
   const { id } = req.params
   const { requestId, reason } = req.body
 
-  if (!claudeProcess) {
+  if (!claudeProcesses.has(id)) {
     return res.status(400).json({
       error: 'Claude CLI not started'
     })
   }
 
-  claudeProcess.stdin.write(JSON.stringify({
-    type: 'control',
-    action: 'deny',
-    requestId,
-    reason
-  }) + '\n')
+  if (!requestId) {
+    return res.status(400).json({ error: 'Missing requestId in request body' })
+  }
+
+  const pending = pendingPermissions.get(id)
+  const request = pending && pending.get(requestId)
+  if (!request) {
+    return res.status(404).json({ error: `No pending permission request ${requestId}` })
+  }
+
+  console.log(`[${id}] 🚫 Denied ${request.toolName} (request ${requestId})`)
+  resolvePermission(id, requestId, {
+    behavior: 'deny',
+    message: reason || 'Denied by user'
+  })
 
   res.json({
     success: true
@@ -774,9 +4823,22 @@ function tryStartServer(ports, index = 0) {
   }
 
   const port = ports[index]
-  const server = app.listen(port)
+  const server = (BRIDGE_HOST ? app.listen(port, BRIDGE_HOST) : app.listen(port))
     .on('listening', () => {
-      console.log(`\n✅ ABsmartly Claude Code Bridge running on http://localhost:${port}`)
+      listeningPort = port
+      console.log(`\n✅ ABsmartly Claude Code Bridge running on http://${urlHost(BRIDGE_HOST)}:${port}`)
+      console.log(`\nCLI backend: ${resolveCliBackend().name}`)
+      console.log(`Config file: ${CONFIG.file || `none (looked for ${CONFIG_FILE_NAME} in ${process.cwd()} and ${os.homedir()})`}`)
+      console.log(`Settings:`)
+      for (const [key, value] of Object.entries(config)) {
+        const source = CONFIG.sources[key] === 'default' ? '' : ` (${CONFIG.sources[key]})`
+        // Object settings (claudeSettings) can hold env vars and API keys, so only their keys are shown
+        const shown = value === null ? '-' : CONFIG_OPTIONS[key].type === 'object' ? `{ ${Object.keys(value).join(', ')} }` : JSON.stringify(value)
+        console.log(`  ${key}: ${shown}${source}`)
+      }
+      console.log(`Pairing token: ${BRIDGE_TOKEN.slice(0, 4)}… (${process.env.BRIDGE_TOKEN ? 'from BRIDGE_TOKEN' : `copy it from ${TOKEN_FILE}`})`)
+      console.log(`Allowed origins: ${ALLOWED_ORIGINS.length > 0 ? ALLOWED_ORIGINS.join(', ') : pairedOrigin ? `${pairedOrigin} (paired)` : 'the first chrome-extension:// to pair'}`)
+      console.log(`JS safety policy: ${Object.entries(JS_POLICY).map(([rule, action]) => `${rule}=${action}`).join(', ')}`)
       console.log(`\nAuth Status:`)
       const authStatus = checkClaudeAuth()
       if (authStatus.authenticated) {
@@ -805,11 +4867,31 @@ function tryStartServer(ports, index = 0) {
       console.log(`\nEndpoints:`)
       console.log(`  GET  /health`)
       console.log(`  GET  /auth/status`)
+      console.log(`  GET  /schemas`)
+      console.log(`  PUT  /schemas/:name              (Register a JSON schema version)`)
+      console.log(`  GET  /conversations              (List conversations)`)
+      console.log(`  GET  /usage                      (Tokens and cost of all conversations)`)
       console.log(`  POST /conversations`)
       console.log(`  POST /conversations/:id/messages`)
       console.log(`  GET  /conversations/:id/stream`)
       console.log(`  GET  /conversations/:id/chunk     (HTML chunk retrieval)`)
-      console.log(`  POST /conversations/:id/refresh   (Update stored HTML)`)
+      console.log(`  GET  /conversations/:id/styles    (CSS rules for a selector)`)
+      console.log(`  GET  /conversations/:id/outline   (Compact page skeleton)`)
+      console.log(`  POST /conversations/:id/search    (Find elements by text)`)
+      console.log(`  POST /conversations/:id/selectors/suggest (Ranked unique selectors)`)
+      console.log(`  POST /conversations/:id/refresh   (Store a new HTML snapshot)`)
+      console.log(`  GET  /conversations/:id/pages     (List stored page contexts)`)
+      console.log(`  GET  /conversations/:id/snapshots (List HTML snapshots)`)
+      console.log(`  GET  /conversations/:id/snapshots/diff`)
+      console.log(`  POST /conversations/:id/validate-changes (Check change selectors)`)
+      console.log(`  POST /conversations/:id/preview   (Apply changes to stored HTML)`)
+      console.log(`  GET  /conversations/:id/changes   (Variant state and history)`)
+      console.log(`  POST /conversations/:id/changes/undo`)
+      console.log(`  POST /conversations/:id/conflicts (Conflicts between accumulated changes)`)
+      console.log(`  GET  /conversations/:id/usage     (Tokens and cost per turn)`)
+      console.log(`  PUT  /conversations/:id/budget    (Set spending limits)`)
+      console.log(`  POST /conversations/:id/cancel    (Interrupt current turn)`)
+      console.log(`  DELETE /conversations/:id         (Tear down conversation)`)
       console.log(`  POST /conversations/:id/approve`)
       console.log(`  POST /conversations/:id/deny`)
       console.log(`\nReady for connections from ABsmartly extension 🚀\n`)
@@ -830,8 +4912,10 @@ function tryStartServer(ports, index = 0) {
 function setupShutdownHandlers(server) {
   const shutdown = () => {
     console.log('\nShutting down...')
-    if (claudeProcess) {
-      claudeProcess.kill()
+    flushPersistence()
+    for (const conversationId of Array.from(claudeProcesses.keys())) {
+      claudeProcesses.get(conversationId).kill()
+      endStream(conversationId)
     }
     server.close(() => {
       console.log('Server closed')
@@ -841,6 +4925,31 @@ function setupShutdownHandlers(server) {
 
   process.on('SIGTERM', shutdown)
   process.on('SIGINT', shutdown)
+  process.on('SIGUSR2', shutdown) // nodemon restarts
+}
+
+let JS_POLICY
+let BRIDGE_TOKEN
+let pairedOrigin = null
+try {
+  resolveCliBackend()
+  JS_POLICY = loadJsPolicy()
+  BRIDGE_TOKEN = loadOrCreateToken()
+  pairedOrigin = loadPairedOrigin()
+} catch (error) {
+  console.error(`\n❌ ${error.message}`)
+  process.exit(1)
+}
+
+loadSchemaRegistry()
+const restoredCount = loadPersistedConversations()
+if (restoredCount > 0) {
+  console.log(`💾 Restored ${restoredCount} conversation(s) from ${CONVERSATIONS_DIR}`)
+}
+
+if (IDLE_TIMEOUT_MINUTES > 0) {
+  const reapIntervalMs = Math.min(60 * 1000, IDLE_TIMEOUT_MINUTES * 60 * 1000)
+  setInterval(reapIdleConversations, reapIntervalMs).unref()
 }
 
 const portsToTry = PORT ? [PORT] : PREFERRED_PORTS
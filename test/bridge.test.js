@@ -0,0 +1,1071 @@
+const { test, describe, before, after } = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { execFile, spawn } = require('child_process')
+const { promisify } = require('util')
+const { startBridge, isTerminal, TOKEN } = require('./helpers')
+
+const PAGE = '<html><body><h1>Build faster</h1><a class="cta" href="/signup">Sign up</a></body></html>'
+
+async function sendMessage(bridge, conversationId, content, body = {}) {
+  const created = await bridge.request('POST', '/conversations', { session_id: conversationId, html: PAGE, ...body })
+  assert.strictEqual(created.status, 200)
+  const sent = await bridge.request('POST', `/conversations/${conversationId}/messages`, { content })
+  assert.strictEqual(sent.status, 200)
+  return bridge.events(conversationId, { until: isTerminal })
+}
+
+async function waitForOutput(bridge, pattern, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs
+  while (!pattern.test(bridge.output())) {
+    assert.ok(Date.now() < deadline, `Timed out waiting for ${pattern} in the bridge output`)
+    await new Promise(resolve => setTimeout(resolve, 2))
+  }
+}
+
+describe('structured DOM changes', () => {
+  let bridge
+  before(async () => { bridge = await startBridge({ fixture: 'dom-changes' }) })
+  after(() => bridge.stop())
+
+  test('forwards the structured response and finishes the turn', async () => {
+    const events = await sendMessage(bridge, 'dom', 'Make the CTA orange')
+    const change = events.find(event => event.type === 'tool_use')
+    assert.ok(change, 'tool_use event')
+    assert.deepStrictEqual(change.data.domChanges.map(domChange => domChange.selector), ['h1', '.cta'])
+    assert.strictEqual(change.variant.revision, 1)
+    assert.strictEqual(events[events.length - 1].type, 'done')
+  })
+
+  test('requires the pairing token', async () => {
+    const response = await bridge.request('GET', '/conversations', null, { 'X-Bridge-Token': 'wrong' })
+    assert.strictEqual(response.status, 401)
+  })
+})
+
+describe('pairing', () => {
+  let bridge
+  before(async () => { bridge = await startBridge() })
+  after(() => bridge.stop())
+
+  test('pins the first extension that presents the token', async () => {
+    const first = { Origin: 'chrome-extension://firstextension' }
+    const other = { Origin: 'chrome-extension://otherextension' }
+    assert.strictEqual((await bridge.request('GET', '/conversations', null, { ...other, 'X-Bridge-Token': 'wrong' })).status, 401)
+    assert.strictEqual((await bridge.request('GET', '/conversations', null, first)).status, 200)
+    assert.strictEqual((await bridge.request('GET', '/conversations', null, other)).status, 403)
+    assert.strictEqual(fs.readFileSync(path.join(bridge.home, 'data', 'paired-origin'), 'utf8').trim(), first.Origin)
+  })
+
+  test('keeps the token out of the banner', () => {
+    assert.ok(!bridge.output().includes('test-token'))
+  })
+
+  test('brackets IPv6 hosts in URLs', async () => {
+    const ipv6 = await startBridge({ env: { BRIDGE_HOST: '::1' } })
+    try {
+      assert.match(ipv6.output(), new RegExp(`http://\\[::1\\]:${ipv6.port}`))
+    } finally {
+      await ipv6.stop()
+    }
+  })
+})
+
+describe('tool_use structured output', () => {
+  let bridge
+  before(async () => { bridge = await startBridge({ fixture: 'tool-use' }) })
+  after(() => bridge.stop())
+
+  test('is forwarded like a text structured response', async () => {
+    const events = await sendMessage(bridge, 'tool', 'Remove the hero')
+    const change = events.find(event => event.type === 'tool_use')
+    assert.deepStrictEqual(change.data.domChanges, [{ selector: '#hero', type: 'delete' }])
+  })
+})
+
+describe('CLI errors', () => {
+  let bridge
+  before(async () => { bridge = await startBridge({ fixture: 'error' }) })
+  after(() => bridge.stop())
+
+  test('an error event ends the turn', async () => {
+    const events = await sendMessage(bridge, 'err', 'hello')
+    assert.deepStrictEqual(events[events.length - 1], { type: 'error', data: 'Simulated API error' })
+  })
+})
+
+describe('unreadable CLI output', () => {
+  test('is skipped with a warning and the turn ends once, with its result', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-fixture-'))
+    const fixture = path.join(dir, 'garbled.json')
+    fs.writeFileSync(fixture, JSON.stringify({
+      turns: [{ steps: [{ raw: 'this is not json' }, { text: 'still here' }] }, { steps: [{ text: 'second' }] }]
+    }))
+    const bridge = await startBridge({ fixture })
+    try {
+      await bridge.request('POST', '/conversations', { session_id: 'garbled' })
+      await bridge.request('POST', '/conversations/garbled/messages', { content: 'one' })
+      await bridge.events('garbled', { until: isTerminal })
+
+      // Only answered if the bad line didn't leave the queue stuck; reconnecting replays the first turn too
+      await bridge.request('POST', '/conversations/garbled/messages', { content: 'two' })
+      let done = 0
+      const events = await bridge.events('garbled', { until: event => event.type === 'done' && ++done === 2 })
+      const types = events.map(event => event.type).filter(type => ['warning', 'text', 'done'].includes(type))
+      assert.deepStrictEqual(types, ['warning', 'text', 'done', 'text', 'done'])
+      assert.deepStrictEqual(events.filter(event => event.type === 'text').map(event => event.data), ['still here', 'second'])
+    } finally {
+      await bridge.stop()
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  })
+})
+
+describe('CLI crash', () => {
+  let bridge
+  before(async () => { bridge = await startBridge({ fixture: 'crash' }) })
+  after(() => bridge.stop())
+
+  test('ends the stream and stops the queue', async () => {
+    await bridge.request('POST', '/conversations', { session_id: 'crash' })
+    await bridge.request('POST', '/conversations/crash/messages', { content: 'hello' })
+    const events = await bridge.events('crash')
+    assert.ok(events.some(event => event.type === 'queue' && event.data.state === 'stopped'))
+  })
+})
+
+describe('tool permissions', () => {
+  let bridge
+  before(async () => { bridge = await startBridge({ fixture: 'permission' }) })
+  after(() => bridge.stop())
+
+  test('asks the extension and continues with its decision', async () => {
+    await bridge.request('POST', '/conversations', { session_id: 'perm' })
+    await bridge.request('POST', '/conversations/perm/messages', { content: 'list files' })
+    const [prompt] = (await bridge.events('perm', { until: event => event.type === 'permission_request' }))
+      .filter(event => event.type === 'permission_request')
+    assert.strictEqual(prompt.data.toolName, 'Bash')
+
+    const approved = await bridge.request('POST', '/conversations/perm/approve', { requestId: prompt.data.requestId })
+    assert.strictEqual(approved.status, 200)
+    const events = await bridge.events('perm', { until: isTerminal })
+    assert.ok(events.some(event => event.type === 'text' && event.data === 'Permission granted, ran the command.'))
+  })
+})
+
+describe('custom CLI command', () => {
+  test('reports a command that cannot be started on the stream instead of crashing', async () => {
+    const bridge = await startBridge({ env: { CLAUDE_CLI_COMMAND: '/nonexistent/claude --flag' } })
+    try {
+      await bridge.request('POST', '/conversations', { session_id: 'missing' })
+      await bridge.request('POST', '/conversations/missing/messages', { content: 'hello' })
+      const events = await bridge.events('missing', { until: isTerminal })
+      const error = events.find(event => event.type === 'error')
+      assert.match(error.data, /Failed to start Claude CLI "\/nonexistent\/claude"/)
+
+      const health = await bridge.request('GET', '/health')
+      assert.strictEqual(health.status, 200)
+    } finally {
+      await bridge.stop()
+    }
+  })
+
+  test('keeps quoted paths with spaces together', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge cli '))
+    const script = path.join(dir, 'fake claude.js')
+    fs.writeFileSync(script, `require(${JSON.stringify(path.join(__dirname, '..', 'bin', 'fake-claude.js'))})\n`)
+    const bridge = await startBridge({ env: { CLAUDE_CLI_COMMAND: `"${process.execPath}" '${script}'` } })
+    try {
+      const events = await sendMessage(bridge, 'quoted', 'ping')
+      const change = events.find(event => event.type === 'tool_use')
+      assert.strictEqual(change.data.response, 'Echo: ping')
+    } finally {
+      await bridge.stop()
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  })
+})
+
+describe('cancellation', () => {
+  let bridge
+  before(async () => { bridge = await startBridge({ fixture: 'slow' }) })
+  after(() => bridge.stop())
+
+  test('interrupts the running turn', async () => {
+    await bridge.request('POST', '/conversations', { session_id: 'slow' })
+    await bridge.request('POST', '/conversations/slow/messages', { content: 'take your time' })
+    await bridge.events('slow', { until: event => event.type === 'text' })
+
+    const cancelled = await bridge.request('POST', '/conversations/slow/cancel', {})
+    assert.strictEqual(cancelled.body.interrupted, true)
+    const events = await bridge.events('slow', { until: isTerminal })
+    assert.ok(events.some(event => event.type === 'cancelled' && event.data.interrupted))
+    assert.strictEqual(events[events.length - 1].type, 'done')
+  })
+
+  test('reports a killed CLI once, separately from the cancel', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-fixture-'))
+    const fixture = path.join(dir, 'stubborn.json')
+    fs.writeFileSync(fixture, JSON.stringify({ ignoreInterrupts: true, turns: [{ steps: [{ text: 'Busy' }, { delay: 30000 }] }] }))
+    const stubborn = await startBridge({ fixture })
+    try {
+      await stubborn.request('POST', '/conversations', { session_id: 'stubborn' })
+      await stubborn.request('POST', '/conversations/stubborn/messages', { content: 'go' })
+      await stubborn.events('stubborn', { until: event => event.type === 'text' })
+
+      await stubborn.request('POST', '/conversations/stubborn/cancel', {})
+      const events = await stubborn.events('stubborn', { until: event => event.type === 'killed' })
+      assert.deepStrictEqual(events.filter(event => event.type === 'cancelled').map(event => event.data), [{ interrupted: true, dropped: 0 }])
+      assert.deepStrictEqual(events[events.length - 1].data, { dropped: 0 })
+    } finally {
+      await stubborn.stop()
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  })
+
+  test('emits nothing when there is nothing to cancel', async () => {
+    const cancelled = await bridge.request('POST', '/conversations/slow/cancel', {})
+    assert.strictEqual(cancelled.body.interrupted, false)
+    const events = await bridge.events('slow')
+    assert.strictEqual(events.filter(event => event.type === 'cancelled').length, 1)
+  })
+})
+
+describe('stream replay', () => {
+  let bridge
+  let dir
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-fixture-'))
+    const fixture = path.join(dir, 'many.json')
+    // More events than the 500 the bridge keeps per conversation
+    const steps = [{ text: 'first' }, { delay: 300 }, ...Array.from({ length: 520 }, (_, i) => ({ text: `line ${i}` }))]
+    fs.writeFileSync(fixture, JSON.stringify({ turns: [{ steps }] }))
+    bridge = await startBridge({ fixture })
+  })
+  after(async () => {
+    await bridge.stop()
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  const isEnd = entry => entry.event && isTerminal(entry.event)
+
+  test('replays exactly the events after Last-Event-ID, with their ids', async () => {
+    await bridge.request('POST', '/conversations', { session_id: 'resume' })
+    await bridge.request('POST', '/conversations/resume/messages', { content: 'hello' })
+    const before = await bridge.events('resume', { raw: true, lastEventId: 0, until: entry => entry.event && entry.event.type === 'text' })
+    const lastId = before[before.length - 1].id
+
+    const replayed = await bridge.events('resume', { raw: true, lastEventId: lastId, until: isEnd })
+    assert.strictEqual(replayed[0].id, lastId + 1)
+    assert.ok(replayed.every((entry, i) => entry.id === lastId + 1 + i))
+    const texts = replayed.filter(entry => entry.event.type === 'text').map(entry => entry.event.data)
+    assert.deepStrictEqual(texts, Array.from({ length: 520 }, (_, i) => `line ${i}`))
+    assert.strictEqual(replayed[replayed.length - 1].event.type, 'done')
+  })
+
+  test('reports a gap when Last-Event-ID is older than the buffer', async () => {
+    await bridge.request('POST', '/conversations', { session_id: 'gap' })
+    await bridge.request('POST', '/conversations/gap/messages', { content: 'hello' })
+    await bridge.events('gap', { until: isTerminal })
+
+    const replayed = await bridge.events('gap', { raw: true, lastEventId: 1 })
+    const [gap, ...buffered] = replayed
+    assert.strictEqual(buffered.length, 500)
+    assert.deepStrictEqual(gap, { id: null, event: { type: 'replay_gap', data: { from: 2, to: buffered[0].id - 1 } } })
+    assert.ok(buffered.every((entry, i) => entry.id === buffered[0].id + i))
+    assert.strictEqual(buffered[buffered.length - 1].event.type, 'done')
+  })
+
+  test('sends heartbeat comments to open streams', async () => {
+    const beating = await startBridge({ env: { SSE_HEARTBEAT_MS: '50' } })
+    try {
+      await beating.request('POST', '/conversations', { session_id: 'quiet' })
+      const entries = await beating.events('quiet', { raw: true, until: entry => 'comment' in entry, timeoutMs: 2000 })
+      assert.deepStrictEqual(entries, [{ comment: 'heartbeat' }])
+    } finally {
+      await beating.stop()
+    }
+  })
+})
+
+describe('multiple subscribers', () => {
+  test('every open stream gets every event, and closing one leaves the others', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-fixture-'))
+    const fixture = path.join(dir, 'steady.json')
+    fs.writeFileSync(fixture, JSON.stringify({
+      turns: [{ steps: [{ text: 'one' }, { delay: 200 }, { text: 'two' }, { delay: 200 }, { text: 'three' }] }]
+    }))
+    const bridge = await startBridge({ fixture })
+    try {
+      await bridge.request('POST', '/conversations', { session_id: 'shared' })
+      const first = bridge.events('shared', { until: isTerminal })
+      const second = bridge.events('shared', { until: isTerminal })
+      const leaving = bridge.events('shared', { until: event => event.type === 'text' })
+      await waitForOutput(bridge, /Stream subscriber connected \(3 active\)/)
+
+      await bridge.request('POST', '/conversations/shared/messages', { content: 'hello' })
+      const left = await leaving
+      assert.deepStrictEqual(left.filter(event => event.type === 'text').map(event => event.data), ['one'])
+
+      const [a, b] = await Promise.all([first, second])
+      assert.deepStrictEqual(a, b)
+      assert.deepStrictEqual(a.filter(event => event.type === 'text').map(event => event.data), ['one', 'two', 'three'])
+      assert.strictEqual(a[a.length - 1].type, 'done')
+    } finally {
+      await bridge.stop()
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  })
+})
+
+describe('message queue', () => {
+  test('sends messages one at a time, in order, and streams the queue state', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-fixture-'))
+    const fixture = path.join(dir, 'queue.json')
+    const turn = { steps: [{ delay: 200 }, { text: 'Got {{message}}' }] }
+    fs.writeFileSync(fixture, JSON.stringify({ turns: [turn, turn] }))
+    const bridge = await startBridge({ fixture })
+    try {
+      await bridge.request('POST', '/conversations', { session_id: 'queue' })
+      const first = await bridge.request('POST', '/conversations/queue/messages', { content: 'one' })
+      const second = await bridge.request('POST', '/conversations/queue/messages', { content: 'two' })
+      assert.strictEqual(first.body.position, 1)
+      assert.strictEqual(second.body.position, 2)
+      assert.deepStrictEqual(second.body.queue, { state: 'starting', depth: 2 })
+
+      // done ends the connection; picking up after the last event seen waits for the second turn
+      const isEnd = entry => entry.event && isTerminal(entry.event)
+      const turnOne = await bridge.events('queue', { raw: true, lastEventId: 0, until: isEnd })
+      const turnTwo = await bridge.events('queue', { raw: true, lastEventId: turnOne[turnOne.length - 1].id, until: isEnd })
+      const events = [...turnOne, ...turnTwo].map(entry => entry.event)
+      assert.deepStrictEqual(events.filter(event => event.type === 'text').map(event => event.data), ['Got one', 'Got two'])
+
+      const states = events.filter(event => event.type === 'queue').map(event => event.data.state)
+      assert.deepStrictEqual(states.filter((state, i) => state !== states[i - 1]), ['starting', 'busy', 'idle'])
+
+      // The second message is written to the CLI only after the first turn's result
+      const output = bridge.output()
+      assert.ok(output.indexOf('Received result event') < output.indexOf('Sending to Claude: {"type":"user","message":{"role":"user","content":"two"'))
+    } finally {
+      await bridge.stop()
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  })
+})
+
+describe('settings', () => {
+  for (const [name, value] of [['CONVERSATION_IDLE_TIMEOUT_MINUTES', 'soon'], ['MAX_HTML_SNAPSHOTS', '0'], ['MAX_REPAIR_ATTEMPTS', 'two']]) {
+    test(`refuses to start with an invalid ${name}`, async () => {
+      await assert.rejects(startBridge({ env: { [name]: value } }), new RegExp(`Bridge exited with code 1[\\s\\S]*${name}`))
+    })
+  }
+
+  test('refuses a flag whose value is another flag', async () => {
+    await assert.rejects(startBridge({ args: ['--model', '--port', '0'] }), /Bridge exited with code 1[\s\S]*Missing value for --model/)
+  })
+
+  test('shows only the keys of object settings in the banner', async () => {
+    const bridge = await startBridge({ env: { BRIDGE_CLAUDE_SETTINGS: JSON.stringify({ env: { ANTHROPIC_API_KEY: 'sk-secret-value' } }) } })
+    try {
+      assert.match(bridge.output(), /claudeSettings: \{ env \} \(env BRIDGE_CLAUDE_SETTINGS\)/)
+      assert.doesNotMatch(bridge.output(), /sk-secret-value/)
+    } finally {
+      await bridge.stop()
+    }
+  })
+})
+
+describe('persistence', () => {
+  test('idle conversations are reaped from memory but can be resumed', async () => {
+    const bridge = await startBridge({ env: { CONVERSATION_IDLE_TIMEOUT_MINUTES: '0.01' } })
+    try {
+      await bridge.request('POST', '/conversations', { session_id: 'idle', html: PAGE })
+      await new Promise(resolve => setTimeout(resolve, 2000))
+      assert.match(bridge.output(), /Reaping conversation idle/)
+      assert.ok(fs.existsSync(path.join(bridge.home, 'data', 'conversations', 'idle.json')))
+
+      const chunk = await bridge.request('GET', '/conversations/idle/chunk?selector=h1')
+      assert.strictEqual(chunk.status, 200)
+      assert.match(chunk.body.html, /Build faster/)
+    } finally {
+      await bridge.stop()
+    }
+  })
+
+  test('a message right after reaping resumes the saved conversation', async () => {
+    // Reaped before the debounced write, so the final write (slowed by a large page) is still running
+    const bridge = await startBridge({ env: { CONVERSATION_IDLE_TIMEOUT_MINUTES: '0.002' } })
+    try {
+      const page = PAGE.replace('</body>', `<!-- ${'x'.repeat(8 * 1024 * 1024)} --></body>`)
+      await bridge.request('POST', '/conversations', { session_id: 'reaped', html: page, model: 'opus' })
+      await waitForOutput(bridge, /\[reaped\] 🧹 Reaping/)
+
+      const sent = await bridge.request('POST', '/conversations/reaped/messages', { content: 'hello' })
+      assert.strictEqual(sent.status, 200)
+      await bridge.events('reaped', { until: isTerminal })
+      assert.match(bridge.output(), /Restored idle conversation from disk/)
+      assert.match(bridge.output(), /--model opus/)
+      const chunk = await bridge.request('GET', '/conversations/reaped/chunk?selector=h1')
+      assert.strictEqual(chunk.status, 200)
+      assert.match(chunk.body.html, /Build faster/)
+    } finally {
+      await bridge.stop()
+    }
+  })
+
+  test('snapshots are stored next to the record and restored after a restart', async () => {
+    let bridge = await startBridge()
+    const { home } = bridge
+    try {
+      await bridge.request('POST', '/conversations', { session_id: 'kept', html: PAGE })
+      await bridge.request('POST', '/conversations/kept/refresh', { html: PAGE.replace('Build faster', 'Ship sooner') })
+      await bridge.stop({ keepHome: true })
+
+      const conversations = path.join(home, 'data', 'conversations')
+      const record = JSON.parse(fs.readFileSync(path.join(conversations, 'kept.json'), 'utf8'))
+      assert.strictEqual(record.html.pages[0].snapshots[0].html, undefined)
+      assert.deepStrictEqual(fs.readdirSync(path.join(conversations, 'kept.snapshots')).sort(), ['1.json', '2.json'])
+
+      bridge = await startBridge({ home })
+      const chunk = await bridge.request('GET', '/conversations/kept/chunk?selector=h1&snapshot=1')
+      assert.match(chunk.body.html, /Build faster/)
+      const latest = await bridge.request('GET', '/conversations/kept/chunk?selector=h1')
+      assert.match(latest.body.html, /Ship sooner/)
+
+      await bridge.request('DELETE', '/conversations/kept')
+      await new Promise(resolve => setTimeout(resolve, 200))
+      assert.deepStrictEqual(fs.readdirSync(conversations), [])
+    } finally {
+      await bridge.stop()
+      fs.rmSync(home, { recursive: true, force: true })
+    }
+  })
+})
+
+describe('response validation', () => {
+  let bridge
+  before(async () => { bridge = await startBridge({ fixture: 'repair' }) })
+  after(() => bridge.stop())
+
+  test('asks Claude to repair an invalid response without recording the repair prompt as a user message', async () => {
+    const events = await sendMessage(bridge, 'repair', 'Move the CTA')
+    const retry = events.find(event => event.type === 'validation_retry')
+    assert.ok(retry.selectorReport, 'the invalid response is annotated too')
+    const change = events.find(event => event.type === 'tool_use')
+    assert.strictEqual(change.data.domChanges[0].targetSelector, 'header')
+
+    const { body } = await bridge.request('GET', '/conversations')
+    assert.strictEqual(body.conversations.find(conversation => conversation.conversationId === 'repair').messages, 1)
+  })
+})
+
+describe('schema registry', () => {
+  let bridge
+  before(async () => { bridge = await startBridge({ env: { MAX_REPAIR_ATTEMPTS: '0' } }) })
+  after(() => bridge.stop())
+
+  const schema = required => ({
+    type: 'object',
+    properties: { domChanges: { type: 'array' }, response: { type: 'string' }, action: { type: 'string' }, summary: { type: 'string' } },
+    required
+  })
+
+  test('registers versions and validates against the one a conversation is pinned to', async () => {
+    const v1 = await bridge.request('PUT', '/schemas/changes', { schema: schema(['domChanges', 'response']) })
+    assert.deepStrictEqual(v1.body, { success: true, name: 'changes', version: 1 })
+    const v2 = await bridge.request('PUT', '/schemas/changes', { schema: schema(['domChanges', 'response', 'summary']) })
+    assert.strictEqual(v2.body.version, 2)
+    const duplicate = await bridge.request('PUT', '/schemas/changes', { schema: schema([]), version: 2 })
+    assert.strictEqual(duplicate.status, 409)
+
+    const listed = await bridge.request('GET', '/schemas')
+    assert.deepStrictEqual(listed.body.schemas.find(entry => entry.name === 'changes').versions, [1, 2])
+    const latest = await bridge.request('GET', '/schemas/changes')
+    assert.deepStrictEqual(latest.body.schema.required, ['domChanges', 'response', 'summary'])
+
+    // The echoed response has no summary: fine for v1, invalid for v2 (the latest)
+    const pinned = await sendMessage(bridge, 'pinned', 'hi', { schemaName: 'changes', schemaVersion: 1 })
+    assert.strictEqual(pinned.find(event => event.type === 'tool_use').data.response, 'Echo: hi')
+    assert.ok(!pinned.some(event => event.type === 'validation_error'))
+
+    const current = await sendMessage(bridge, 'current', 'hi', { schemaName: 'changes' })
+    const failed = current.find(event => event.type === 'validation_error')
+    assert.ok(failed.data.violations.some(violation => violation.includes('summary')))
+    assert.ok(!current.some(event => event.type === 'tool_use'))
+  })
+
+  test('rejects unknown schema versions', async () => {
+    const created = await bridge.request('POST', '/conversations', { session_id: 'unknown-version', schemaName: 'changes', schemaVersion: 7 })
+    assert.strictEqual(created.status, 400)
+    assert.match(created.body.error, /Unknown schema changes version 7/)
+    assert.strictEqual((await bridge.request('GET', '/schemas/changes?version=7')).status, 404)
+    assert.strictEqual((await bridge.request('PUT', '/schemas/changes', { schema: schema([]), version: 0 })).status, 400)
+  })
+})
+
+describe('javascript safety', () => {
+  const bypasses = [
+    'const f = fetch; f("https://example.com")',
+    'window["fe" + "tch"]("https://example.com")',
+    '[].constructor.constructor("return 1")()',
+    'document["create" + "Element"](`script`)',
+    'element.innerHTML = \'<img src="x" onerror="alert(1)">\'',
+    'new Image().src = "https://example.com/?" + location.search'
+  ]
+
+  test('blocks aliased, computed and markup-based bypasses, and ignores other tools\' input', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-fixture-'))
+    const fixture = path.join(dir, 'javascript.json')
+    const safe = { domChanges: [{ selector: '.cta', type: 'javascript', value: 'element.style.color = "red"' }], response: 'Safe.', action: 'append' }
+    fs.writeFileSync(fixture, JSON.stringify({
+      turns: [
+        { steps: [{ structured: { domChanges: bypasses.map(value => ({ selector: '.cta', type: 'javascript', value })), response: 'Tracking.', action: 'append' } }] },
+        {
+          steps: [
+            { tool_use: { name: 'Bash', input: { command: 'ls', ...safe } } },
+            { tool_use: { name: 'mcp__bridge__outline', input: { depth: 2 } } },
+            { structured: safe }
+          ]
+        }
+      ]
+    }))
+    const bridge = await startBridge({ fixture })
+    try {
+      const events = await sendMessage(bridge, 'javascript', 'Track CTA clicks')
+      const retry = events.find(event => event.type === 'validation_retry')
+      assert.deepStrictEqual(retry.safety.changes.map(change => change.blocked), bypasses.map(() => true))
+
+      const changes = events.filter(event => event.type === 'tool_use')
+      assert.strictEqual(changes.length, 1, 'only the structured response is forwarded')
+      assert.strictEqual(changes[0].safety.blocked, 0)
+      const inspection = events.find(event => event.type === 'inspection')
+      assert.deepStrictEqual(inspection.data, { tool: 'outline', input: { depth: 2 } })
+    } finally {
+      await bridge.stop()
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  })
+})
+
+describe('plain JSON text', () => {
+  test('is forwarded as text when it is not a structured response', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-fixture-'))
+    const fixture = path.join(dir, 'json-text.json')
+    fs.writeFileSync(fixture, JSON.stringify({ turns: [{ steps: [{ text: '{"status": "ok"}' }] }] }))
+    const bridge = await startBridge({ fixture })
+    try {
+      const events = await sendMessage(bridge, 'json', 'status?')
+      assert.ok(events.some(event => event.type === 'text' && event.data === '{"status": "ok"}'))
+      assert.ok(!events.some(event => event.type === 'validation_retry' || event.type === 'validation_error'))
+    } finally {
+      await bridge.stop()
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  })
+})
+
+describe('undo', () => {
+  test('is recorded as an undo revision and announced to Claude with the next message', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-fixture-'))
+    const fixture = path.join(dir, 'undo.json')
+    fs.writeFileSync(fixture, JSON.stringify({
+      turns: [
+        { steps: [{ structured: { domChanges: [{ selector: 'h1', type: 'text', value: 'One' }], response: 'Done.', action: 'append' } }] },
+        { steps: [{ text: '{{message}}' }] }
+      ]
+    }))
+    const bridge = await startBridge({ fixture })
+    try {
+      await sendMessage(bridge, 'undo', 'Change the headline')
+      const undone = await bridge.request('POST', '/conversations/undo/changes/undo', {})
+      assert.strictEqual(undone.status, 200)
+
+      const { body } = await bridge.request('GET', '/conversations/undo/changes')
+      const revision = body.history[body.history.length - 1]
+      assert.strictEqual(revision.action, 'undo')
+      assert.strictEqual(revision.revertedTo, 0)
+      assert.deepStrictEqual(revision.changes, [])
+
+      await bridge.request('POST', '/conversations/undo/messages', { content: 'Now make it blue' })
+      let turns = 0
+      const events = await bridge.events('undo', { until: event => isTerminal(event) && ++turns === 2 })
+      const echo = events.filter(event => event.type === 'text').pop()
+      assert.match(echo.data, /undid your changes back to revision 0/)
+      assert.match(echo.data, /Now make it blue$/)
+    } finally {
+      await bridge.stop()
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  })
+})
+
+describe('selector checks', () => {
+  let bridge
+  before(async () => {
+    bridge = await startBridge()
+    await bridge.request('POST', '/conversations', {
+      session_id: 'selectors',
+      html: '<html><body><a href="#top" class="up">Top</a><a href="#top" class="up">Back</a><h1 id="title">Hi</h1></body></html>'
+    })
+  })
+  after(() => bridge.stop())
+
+  test('rejects entries that are not objects', async () => {
+    const response = await bridge.request('POST', '/conversations/selectors/validate-changes', { domChanges: [{ selector: 'h1', type: 'delete' }, null] })
+    assert.strictEqual(response.status, 400)
+    assert.match(response.body.error, /domChanges\[1\]/)
+  })
+
+  test('does not mistake a # in an attribute value for an id', async () => {
+    const response = await bridge.request('POST', '/conversations/selectors/validate-changes', {
+      domChanges: [{ selector: 'a[href="#top"]', type: 'text', value: 'Up' }]
+    })
+    assert.strictEqual(response.status, 200)
+    assert.strictEqual(response.body.changes[0].selector.matchCount, 2)
+    assert.strictEqual(response.body.changes[0].selector.ambiguous, false)
+  })
+})
+
+describe('preview', () => {
+  let bridge
+  before(async () => {
+    bridge = await startBridge()
+    await bridge.request('POST', '/conversations', {
+      session_id: 'preview',
+      html: '<html><body><header><h1>Title</h1></header><main><p class="lead">Hello</p></main></body></html>'
+    })
+  })
+  after(() => bridge.stop())
+
+  test('reports DOM exceptions on the change that caused them and applies the rest', async () => {
+    const response = await bridge.request('POST', '/conversations/preview/preview', {
+      domChanges: [
+        { selector: '.lead', type: 'class', add: ['has space'] },
+        { selector: '.lead', type: 'attribute', value: { 'bad name': 'x' } },
+        { selector: 'header', type: 'move', targetSelector: 'h1', position: 'lastChild' },
+        null,
+        { selector: 'h1', type: 'text', value: 'Still applied' }
+      ]
+    })
+    assert.strictEqual(response.status, 200)
+    const [spaced, attribute, move, empty, text] = response.body.changes
+    assert.match(spaced.error, /InvalidCharacterError/)
+    assert.match(attribute.error, /InvalidCharacterError/)
+    assert.match(move.error, /HierarchyRequestError/)
+    assert.strictEqual(empty.error, 'Change must be an object')
+    assert.strictEqual(text.applied, true)
+    assert.match(response.body.html, /Still applied/)
+  })
+
+  test('diffs wide sibling lists without building a huge table', async () => {
+    const items = Array.from({ length: 3000 }, (_, index) => `<li id="item-${index}">${index}</li>`)
+    await bridge.request('POST', '/conversations/preview/refresh', { html: `<html><body><ul>${items.join('')}</ul></body></html>` })
+    const response = await bridge.request('POST', '/conversations/preview/preview', {
+      domChanges: [{ selector: 'ul', type: 'html', value: items.slice().reverse().join('') }]
+    })
+    assert.strictEqual(response.status, 200)
+    assert.strictEqual(response.body.changes[0].applied, true)
+  })
+})
+
+describe('conflicts', () => {
+  let bridge
+  before(async () => {
+    bridge = await startBridge()
+    await bridge.request('POST', '/conversations', { session_id: 'conflicts', html: PAGE })
+  })
+  after(() => bridge.stop())
+
+  test('reports invalid changes instead of failing the analysis', async () => {
+    const response = await bridge.request('POST', '/conversations/conflicts/conflicts', {
+      domChanges: [
+        null,
+        { selector: 'h1', type: 'attribute', value: { 'bad name': 'x' } },
+        { selector: 'h1', type: 'class', add: 'not-a-list' },
+        { selector: 'h1', type: 'class', remove: ['hero'] },
+        { selector: 'h1', type: 'text', value: 'One' },
+        { selector: 'h1', type: 'text', value: 'Two' }
+      ]
+    })
+    assert.strictEqual(response.status, 200)
+    const invalid = response.body.conflicts.filter(conflict => conflict.kind === 'invalid')
+    assert.deepStrictEqual(invalid.map(conflict => conflict.changes[0]), [0, 1])
+    assert.strictEqual(response.body.summary.invalid, 2)
+    assert.ok(response.body.conflicts.some(conflict => conflict.kind === 'overwrite' && conflict.changes.join() === '4,5'))
+  })
+})
+
+describe('styles', () => {
+  let bridge
+  before(async () => { bridge = await startBridge() })
+  after(() => bridge.stop())
+
+  test('lists matching rules, most specific first, with states, media queries and the inline style', async () => {
+    const css = `
+      a { color: black }
+      .cta { color: blue }
+      #signup.cta { color: green }
+      .cta:hover { color: red }
+      [data-x=":hover"] { color: purple }
+      a:not(:hover) { text-decoration: none }
+      .other { color: gray }
+      @media (max-width: 600px) { .cta { padding: 4px } .cta:focus { outline: none } }
+    `
+    const html = `<html><head><style>${css}</style></head><body><a id="signup" class="cta" data-x=":hover" style="margin: 2px">Sign up</a></body></html>`
+    await bridge.request('POST', '/conversations', { session_id: 'styles', html })
+    const { status, body } = await bridge.request('GET', `/conversations/styles/styles?selector=${encodeURIComponent('.cta')}`)
+    assert.strictEqual(status, 200)
+
+    assert.deepStrictEqual(body.rules.map(rule => [rule.selector, rule.states, rule.media || null]), [
+      ['#signup.cta', [], null],
+      ['.cta:focus', ['focus'], ['(max-width: 600px)']],
+      ['.cta:hover', ['hover'], null],
+      ['a:not(:hover)', [], null],
+      ['.cta', [], ['(max-width: 600px)']],
+      ['[data-x=":hover"]', [], null],
+      ['.cta', [], null],
+      ['a', [], null]
+    ])
+    assert.deepStrictEqual(body.rules[0].declarations, { color: 'green' })
+    assert.deepStrictEqual(body.inline, { cssText: 'margin: 2px', declarations: { margin: '2px' }, important: [] })
+
+    const missing = await bridge.request('GET', '/conversations/styles/styles?selector=.nope')
+    assert.strictEqual(missing.status, 404)
+  })
+})
+
+describe('outline', () => {
+  let bridge
+  before(async () => { bridge = await startBridge() })
+  after(() => bridge.stop())
+
+  test('builds list item selectors that match classes with CSS special characters', async () => {
+    const item = '<li class="md:flex w-1/2 w-1.5">Item</li>'
+    const html = `<html><body><ul class="grid">${item.repeat(4)}<li class="w-1">Other</li></ul></body></html>`
+    await bridge.request('POST', '/conversations', { session_id: 'outline', html })
+    const { body } = await bridge.request('GET', '/conversations/outline/outline')
+    const list = body.items.find(entry => entry.type === 'list')
+    assert.strictEqual(list.count, 4)
+
+    const matched = await bridge.request('POST', '/conversations/outline/validate-changes', {
+      domChanges: [{ selector: list.itemSelector, type: 'text', value: 'x' }]
+    })
+    assert.strictEqual(matched.body.changes[0].selector.invalid, false)
+    assert.strictEqual(matched.body.changes[0].selector.matchCount, 4)
+  })
+})
+
+describe('search', () => {
+  let bridge
+  before(async () => {
+    bridge = await startBridge()
+    await bridge.request('POST', '/conversations', {
+      session_id: 'search',
+      html: `<html><body>
+        <script>const label = 'Start free trial'</script>
+        <div hidden><button>Start free trial</button></div>
+        <main><p>Plans for <b>every</b> team</p><button class="cta">Start   free trial</button></main>
+        <p>${'a'.repeat(40)}b</p>
+      </body></html>`
+    })
+  })
+  after(() => bridge.stop())
+
+  test('finds visible text only, on the innermost element', async () => {
+    const { body } = await bridge.request('POST', '/conversations/search/search', { query: 'start free trial' })
+    assert.strictEqual(body.total, 1)
+    assert.strictEqual(body.matches[0].selector, 'button.cta')
+    assert.strictEqual(body.matches[0].text, 'Start free trial')
+
+    const across = await bridge.request('POST', '/conversations/search/search', { query: 'for every team' })
+    assert.strictEqual(across.body.matches[0].tagName, 'p')
+  })
+
+  test('aborts a catastrophically backtracking regex and rejects overlong queries', async () => {
+    const slow = await bridge.request('POST', '/conversations/search/search', { query: '(a+)+!', regex: true })
+    assert.strictEqual(slow.status, 400)
+    assert.match(slow.body.error, /took longer than/)
+
+    const long = await bridge.request('POST', '/conversations/search/search', { query: 'x'.repeat(501) })
+    assert.strictEqual(long.status, 400)
+  })
+})
+
+describe('selector suggestions', () => {
+  let bridge
+  before(async () => {
+    bridge = await startBridge()
+    const items = Array.from({ length: 500 }, (_, index) => `<li>Item ${index}</li>`).join('')
+    const classes = Array.from({ length: 30 }, (_, index) => `c${String.fromCharCode(97 + (index % 26))}${index}`).join(' ')
+    await bridge.request('POST', '/conversations', {
+      session_id: 'suggest',
+      html: `<html><body><ul>${items}</ul><p>Text</p><p class="${classes}">Many classes</p></body></html>`
+    })
+  })
+  after(() => bridge.stop())
+
+  test('builds positional steps for elements in long lists', async () => {
+    const { body } = await bridge.request('POST', '/conversations/suggest/search', { query: 'Item 321' })
+    assert.strictEqual(body.matches[0].selector, 'body > ul > li:nth-of-type(322)')
+  })
+
+  test('limits class combinations for elements with many classes', async () => {
+    const { body } = await bridge.request('POST', '/conversations/suggest/selectors/suggest', { selector: 'p:nth-of-type(2)', maxCandidates: 100 })
+    const classCandidates = body.elements[0].candidates.filter(candidate => candidate.strategy === 'class')
+    assert.ok(classCandidates.length > 0 && classCandidates.length <= 6 + 15)
+  })
+
+  test('limits elements and candidates, and rejects limits that are not positive integers', async () => {
+    const { body } = await bridge.request('POST', '/conversations/suggest/selectors/suggest', { selector: 'li', maxElements: 2, maxCandidates: 1 })
+    assert.strictEqual(body.matchCount, 500)
+    assert.deepStrictEqual(body.elements.map(element => element.candidates.length), [1, 1])
+
+    for (const limits of [{ maxCandidates: 'abc' }, { maxCandidates: -1 }, { maxElements: 0 }, { maxElements: 1.5 }]) {
+      const rejected = await bridge.request('POST', '/conversations/suggest/selectors/suggest', { selector: 'li', ...limits })
+      assert.strictEqual(rejected.status, 400)
+      assert.match(rejected.body.error, new RegExp(`${Object.keys(limits)[0]} must be a positive integer`))
+    }
+  })
+})
+
+describe('snapshots', () => {
+  let bridge
+  before(async () => { bridge = await startBridge() })
+  after(() => bridge.stop())
+
+  test('numbers refreshes, diffs them and reads older ones', async () => {
+    await bridge.request('POST', '/conversations', { session_id: 'snaps', html: PAGE })
+    const second = await bridge.request('POST', '/conversations/snaps/refresh', { html: PAGE.replace('Build faster', 'Ship sooner'), label: 'copy' })
+    assert.strictEqual(second.body.snapshot, 2)
+    const third = await bridge.request('POST', '/conversations/snaps/refresh', { html: PAGE.replace('</a>', '</a><p class="note">New</p>') })
+    assert.strictEqual(third.body.snapshot, 3)
+
+    const listed = await bridge.request('GET', '/conversations/snaps/snapshots')
+    assert.deepStrictEqual(listed.body.snapshots.map(snapshot => [snapshot.snapshot, snapshot.label]), [[1, null], [2, 'copy'], [3, null]])
+
+    // Latest against the one before it
+    const latest = await bridge.request('GET', '/conversations/snaps/snapshots/diff')
+    assert.deepStrictEqual([latest.body.from.snapshot, latest.body.to.snapshot], [2, 3])
+    assert.deepStrictEqual(latest.body.summary, { added: 1, removed: 0, changed: 1, moved: 0 })
+    assert.deepStrictEqual(latest.body.diff.find(entry => entry.op === 'added'), {
+      op: 'added',
+      path: 'html > body:nth-child(2) > p:nth-child(3)',
+      html: '<p class="note">New</p>'
+    })
+
+    const first = await bridge.request('GET', '/conversations/snaps/snapshots/diff?from=1&to=2')
+    assert.deepStrictEqual(first.body.diff, [
+      { op: 'changed', path: 'html > body:nth-child(2) > h1:nth-child(1)', text: { before: 'Build faster', after: 'Ship sooner' } }
+    ])
+
+    const old = await bridge.request('GET', '/conversations/snaps/chunk?selector=h1&snapshot=1')
+    assert.strictEqual(old.body.html, '<h1>Build faster</h1>')
+    const current = await bridge.request('GET', '/conversations/snaps/chunk?selector=h1')
+    assert.strictEqual(current.body.html, '<h1>Build faster</h1>')
+    assert.strictEqual((await bridge.request('GET', '/conversations/snaps/chunk?selector=h1&snapshot=2')).body.html, '<h1>Ship sooner</h1>')
+
+    for (const route of ['/conversations/snaps/chunk?selector=h1&snapshot=9', '/conversations/snaps/snapshots/diff?from=9', '/conversations/snaps/snapshots/diff?to=9']) {
+      const missing = await bridge.request('GET', route)
+      assert.strictEqual(missing.status, 404, route)
+      assert.match(missing.body.error, /Snapshot not found: 9/)
+    }
+  })
+})
+
+describe('page contexts', () => {
+  let bridge
+  before(async () => { bridge = await startBridge() })
+  after(() => bridge.stop())
+
+  test('refresh stores the first page of a conversation created without HTML', async () => {
+    assert.strictEqual((await bridge.request('POST', '/conversations', { session_id: 'no-html' })).status, 200)
+    const refreshed = await bridge.request('POST', '/conversations/no-html/refresh', { html: PAGE, url: 'https://shop.test/' })
+    assert.strictEqual(refreshed.status, 200)
+    assert.strictEqual(refreshed.body.page, 'https://shop.test/')
+  })
+
+  test('keeps query string variants apart but ignores tracking parameters', async () => {
+    await bridge.request('POST', '/conversations', { session_id: 'variants', html: PAGE, url: 'https://shop.test/p?variant=a' })
+    await bridge.request('POST', '/conversations/variants/refresh', { html: PAGE, url: 'https://shop.test/p?variant=b&utm_source=mail' })
+    await bridge.request('POST', '/conversations/variants/refresh', { html: PAGE, url: 'https://shop.test/p?utm_campaign=x&variant=b#top' })
+    const { body } = await bridge.request('GET', '/conversations/variants/pages')
+    assert.deepStrictEqual(body.pages.map(page => [page.page, page.snapshots.length]), [
+      ['https://shop.test/p?variant=a', 1],
+      ['https://shop.test/p?variant=b', 2]
+    ])
+  })
+})
+
+describe('get-chunk', () => {
+  test('finds the bridge and its token through the config file and rejects unknown commands and options', async () => {
+    const bridge = await startBridge({ env: { BRIDGE_TOKEN: '' } })
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'get-chunk-'))
+    try {
+      const token = fs.readFileSync(path.join(bridge.home, 'data', 'token'), 'utf8').trim()
+      await bridge.request('POST', '/conversations', { session_id: 'cli', html: PAGE }, { 'X-Bridge-Token': token })
+      fs.writeFileSync(path.join(dir, 'claude-code-bridge.config.json'), JSON.stringify({ port: bridge.port, host: '127.0.0.1', dataDir: path.join(bridge.home, 'data') }))
+
+      const cleared = Object.fromEntries(['PORT', 'BRIDGE_PORTS', 'BRIDGE_HOST', 'BRIDGE_DATA_DIR', 'BRIDGE_TOKEN', 'BRIDGE_URL', 'BRIDGE_CONFIG'].map(name => [name, '']))
+      const getChunk = args => promisify(execFile)(
+        process.execPath,
+        [path.join(__dirname, '..', 'bin', 'get-chunk.js'), ...args],
+        { cwd: dir, env: { ...process.env, HOME: dir, ...cleared } }
+      )
+      for (const command of ['conversations', 'list']) {
+        const { stdout } = await getChunk([command, '--json'])
+        assert.ok(JSON.parse(stdout).conversations.some(conversation => conversation.conversationId === 'cli'))
+      }
+
+      await assert.rejects(getChunk(['--conversation-id', 'cli', '--selector', 'h1', '--max-char', '100']), /Unknown option: --max-char/)
+      await assert.rejects(getChunk(['lsit']), /Unknown command: lsit/)
+    } finally {
+      await bridge.stop()
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  })
+})
+
+describe('usage and budgets', () => {
+  const nth = (type, count) => {
+    let seen = 0
+    return event => event.type === type && ++seen === count
+  }
+
+  test('counts the increase of the running cost and restarts it with the CLI', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-fixture-'))
+    const fixture = path.join(dir, 'cost.json')
+    fs.writeFileSync(fixture, JSON.stringify({
+      turns: [
+        { steps: [{ text: 'one' }, { result: { total_cost_usd: 0.01 } }] },
+        { steps: [{ text: 'two' }, { result: { total_cost_usd: 0.03 } }] },
+        { steps: [{ crash: { code: 1 } }] }
+      ]
+    }))
+    const bridge = await startBridge({ fixture })
+    try {
+      await bridge.request('POST', '/conversations', { session_id: 'cost' })
+      for (const [content, until] of [['one', nth('done', 1)], ['two', nth('done', 2)], ['crash', nth('error', 1)], ['again', nth('done', 3)]]) {
+        assert.strictEqual((await bridge.request('POST', '/conversations/cost/messages', { content })).status, 200)
+        await bridge.events('cost', { until })
+      }
+
+      const usage = (await bridge.request('GET', '/conversations/cost/usage')).body
+      assert.deepStrictEqual(usage.turns.map(turn => turn.costUsd), [0.01, 0.02, 0.01])
+      assert.strictEqual(usage.total.costUsd, 0.04)
+    } finally {
+      await bridge.stop()
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  })
+
+  test('stops repairing and drops queued messages once the budget is spent', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-fixture-'))
+    const fixture = path.join(dir, 'budget.json')
+    fs.writeFileSync(fixture, JSON.stringify({
+      turns: [{
+        steps: [
+          { structured: { domChanges: [{ selector: '.cta', type: 'move' }], response: 'Moved it.', action: 'append' } },
+          { delay: 300 },
+          { result: { total_cost_usd: 0.05 } }
+        ]
+      }]
+    }))
+    const bridge = await startBridge({ fixture })
+    try {
+      await bridge.request('POST', '/conversations', { session_id: 'budget', html: PAGE, budget: { maxCostUsd: 0.01 } })
+      await bridge.request('POST', '/conversations/budget/messages', { content: 'move the CTA' })
+      const queued = await bridge.request('POST', '/conversations/budget/messages', { content: 'and again' })
+      assert.ok(queued.body.position > 0)
+
+      const events = await bridge.events('budget', { until: isTerminal })
+      const failed = events.find(event => event.type === 'validation_error')
+      assert.deepStrictEqual(failed.data.budget.exceeded, ['maxCostUsd'])
+      assert.strictEqual(failed.data.attempts, 0)
+      assert.strictEqual(events[events.length - 1].data.usage.results, 1)
+      assert.deepStrictEqual(events.find(event => event.type === 'cancelled').data, {
+        interrupted: false,
+        dropped: 1,
+        reason: 'budget',
+        budget: failed.data.budget
+      })
+      assert.strictEqual((await bridge.request('POST', '/conversations/budget/messages', { content: 'more' })).status, 402)
+    } finally {
+      await bridge.stop()
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  })
+
+  test('404s for unknown conversations', async () => {
+    const bridge = await startBridge()
+    try {
+      assert.strictEqual((await bridge.request('GET', '/conversations/nope/usage')).status, 404)
+      assert.strictEqual((await bridge.request('PUT', '/conversations/nope/budget', { maxTurns: 1 })).status, 404)
+      assert.deepStrictEqual((await bridge.request('GET', '/usage')).body.conversations, [])
+    } finally {
+      await bridge.stop()
+    }
+  })
+})
+
+describe('mcp server', () => {
+  let bridge
+  before(async () => { bridge = await startBridge() })
+  after(() => bridge.stop())
+
+  // Sends the JSON-RPC messages, closes stdin and returns the responses by id once the server exits
+  function runMcpServer(messages) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(process.execPath, [
+        path.join(__dirname, '..', 'bin', 'mcp-server.js'),
+        '--conversation-id', 'mcp',
+        '--bridge-url', `http://127.0.0.1:${bridge.port}`
+      ], { env: { ...process.env, BRIDGE_TOKEN: TOKEN } })
+      const timer = setTimeout(() => child.kill(), 10000)
+      let stdout = ''
+      child.stdout.on('data', data => { stdout += data.toString() })
+      child.on('error', reject)
+      child.on('exit', (code) => {
+        clearTimeout(timer)
+        if (code !== 0) return reject(new Error(`mcp-server exited with code ${code}`))
+        const responses = stdout.split('\n').filter(Boolean).map(line => JSON.parse(line))
+        resolve(new Map(responses.map(response => [response.id, response])))
+      })
+      child.stdin.end(messages.map(message => JSON.stringify({ jsonrpc: '2.0', ...message })).join('\n') + '\n')
+    })
+  }
+
+  test('answers initialize, tools/list and tools/call against the bridge', async () => {
+    await bridge.request('POST', '/conversations', { session_id: 'mcp', html: PAGE })
+    const responses = await runMcpServer([
+      { id: 1, method: 'initialize', params: { protocolVersion: '2025-03-26', capabilities: {} } },
+      { method: 'notifications/initialized' },
+      { id: 2, method: 'tools/list' },
+      { id: 3, method: 'tools/call', params: { name: 'get_chunk', arguments: { selector: 'h1' } } },
+      { id: 4, method: 'tools/call', params: { name: 'get_chunk', arguments: { selector: '.missing' } } },
+      { id: 5, method: 'resources/list' }
+    ])
+    assert.strictEqual(responses.size, 5)
+
+    const initialized = responses.get(1).result
+    assert.strictEqual(initialized.protocolVersion, '2025-03-26')
+    assert.deepStrictEqual(initialized.capabilities, { tools: {} })
+    assert.strictEqual(initialized.serverInfo.name, 'claude-code-bridge')
+
+    const tools = responses.get(2).result.tools
+    const getChunk = tools.find(tool => tool.name === 'get_chunk')
+    assert.deepStrictEqual(getChunk.inputSchema.required, ['selector'])
+    assert.ok(tools.every(tool => tool.description && tool.inputSchema && !('call' in tool)))
+
+    const found = responses.get(3).result
+    assert.strictEqual(found.isError, false)
+    assert.strictEqual(JSON.parse(found.content[0].text).html, '<h1>Build faster</h1>')
+
+    const missing = responses.get(4).result
+    assert.strictEqual(missing.isError, true)
+    assert.match(JSON.parse(missing.content[0].text).error, /\.missing/)
+
+    assert.strictEqual(responses.get(5).error.code, -32601)
+  })
+})
@@ -0,0 +1,168 @@
+// Starts a real bridge (index.js) on a free port with the fake Claude CLI, and talks to it over HTTP
+
+const { spawn } = require('child_process')
+const fs = require('fs')
+const http = require('http')
+const net = require('net')
+const os = require('os')
+const path = require('path')
+
+const BRIDGE_PATH = path.join(__dirname, '..', 'index.js')
+const TOKEN = 'test-token'
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer()
+    server.unref()
+    server.on('error', reject)
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address()
+      server.close(() => resolve(port))
+    })
+  })
+}
+
+function request(port, method, urlPath, body = null, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const payload = body === null ? null : JSON.stringify(body)
+    const req = http.request({
+      host: '127.0.0.1',
+      port,
+      method,
+      path: urlPath,
+      headers: {
+        'X-Bridge-Token': TOKEN,
+        ...(payload && { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) }),
+        ...headers
+      }
+    }, (res) => {
+      let data = ''
+      res.on('data', chunk => data += chunk)
+      res.on('end', () => {
+        let parsed = data
+        try {
+          parsed = JSON.parse(data)
+        } catch (error) {
+          // Not JSON, keep the raw text
+        }
+        resolve({ status: res.statusCode, body: parsed })
+      })
+    })
+    req.on('error', reject)
+    req.end(payload)
+  })
+}
+
+// Collects SSE events (replayed from the start, or after lastEventId) until the stream ends or `until` matches.
+// With raw, entries are { id, event } for events and { comment } for comment lines such as heartbeats.
+function collectEvents(port, conversationId, { until = null, timeoutMs = 10000, lastEventId = null, raw = false } = {}) {
+  return new Promise((resolve, reject) => {
+    const events = []
+    let buffer = ''
+    let req = null
+    const finish = () => {
+      clearTimeout(timer)
+      if (req) req.destroy()
+      resolve(events)
+    }
+    const timer = setTimeout(() => {
+      if (req) req.destroy()
+      reject(new Error(`Timed out waiting for events, got: ${events.map(event => event.type).join(', ')}`))
+    }, timeoutMs)
+
+    req = http.get({
+      host: '127.0.0.1',
+      port,
+      path: `/conversations/${encodeURIComponent(conversationId)}/stream${lastEventId === null ? '?lastEventId=0' : ''}`,
+      headers: { 'X-Bridge-Token': TOKEN, ...(lastEventId !== null && { 'Last-Event-ID': String(lastEventId) }) }
+    }, (res) => {
+      res.on('data', (chunk) => {
+        buffer += chunk.toString()
+        const messages = buffer.split('\n\n')
+        buffer = messages.pop()
+        for (const message of messages) {
+          const lines = message.split('\n')
+          const line = lines.find(candidate => candidate.startsWith('data: '))
+          const comment = lines.find(candidate => candidate.startsWith(': '))
+          let entry = null
+          if (line) {
+            const event = JSON.parse(line.slice('data: '.length))
+            const idLine = lines.find(candidate => candidate.startsWith('id: '))
+            entry = raw ? { id: idLine ? Number(idLine.slice('id: '.length)) : null, event } : event
+          } else if (raw && comment) {
+            entry = { comment: comment.slice(': '.length) }
+          }
+          if (!entry) continue
+          events.push(entry)
+          if (until && until(entry)) return finish()
+        }
+      })
+      res.on('end', finish)
+    })
+    req.on('error', (error) => {
+      clearTimeout(timer)
+      reject(error)
+    })
+  })
+}
+
+// Pass the `home` of a stopped bridge (with keepHome) to restart it on the same data directory
+async function startBridge({ fixture = null, env = {}, args = [], home = null } = {}) {
+  const port = await freePort()
+  const ownsHome = !home
+  home = home || fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-test-'))
+  const child = spawn(process.execPath, [BRIDGE_PATH, ...args], {
+    cwd: home,
+    env: {
+      ...process.env,
+      HOME: home,
+      PORT: String(port),
+      BRIDGE_HOST: '127.0.0.1',
+      BRIDGE_DATA_DIR: path.join(home, 'data'),
+      BRIDGE_TOKEN: TOKEN,
+      CLAUDE_BACKEND: 'fake',
+      FAKE_CLAUDE_FIXTURE: fixture || '',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  })
+
+  let output = ''
+  child.stdout.on('data', data => output += data)
+  child.stderr.on('data', data => output += data)
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Bridge did not start:\n${output}`)), 15000)
+    child.stdout.on('data', () => {
+      if (output.includes('Ready for connections')) {
+        clearTimeout(timer)
+        resolve()
+      }
+    })
+    child.on('exit', (code) => {
+      clearTimeout(timer)
+      reject(new Error(`Bridge exited with code ${code}:\n${output}`))
+    })
+  })
+
+  return {
+    port,
+    home,
+    output: () => output,
+    request: (method, urlPath, body, headers) => request(port, method, urlPath, body, headers),
+    events: (conversationId, options) => collectEvents(port, conversationId, options),
+    stop: ({ keepHome = false } = {}) => new Promise((resolve) => {
+      const cleanUp = () => {
+        if (ownsHome && !keepHome) fs.rmSync(home, { recursive: true, force: true })
+        resolve()
+      }
+      if (child.exitCode !== null) return cleanUp()
+      child.on('exit', cleanUp)
+      child.kill()
+    })
+  }
+}
+
+const isTerminal = event => event.type === 'done' || event.type === 'error'
+
+module.exports = { startBridge, isTerminal, TOKEN }